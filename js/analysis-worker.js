@@ -1,18 +1,547 @@
 // Analysis Web Worker - Handles computational analysis in background thread
 // Import Turf.js for geospatial operations
 importScripts('https://unpkg.com/@turf/turf@6.5.0/turf.min.js');
+// Shared weighting/ranking logic, also used on the main thread for live re-ranking
+importScripts('scoring.js');
+
+// Great-circle miles per degree of latitude, using the same earth radius as Turf.js
+const MILES_PER_DEGREE = 69.0934;
+const SQ_METERS_PER_SQ_MILE = 2589988.11;
+const SQ_FT_PER_SQ_METER = 10.7639;
+const SQ_FT_PER_ACRE = 43560;
+
+// Cap deck width: each corridor's own width, or the default segment width. When the right-of-way dataset
+// (right-of-way or edge-of-pavement polygons) is loaded, decks are instead the part of a search footprint
+// this wide that lies inside it, so segment polygons match the actual deck area. Divided freeways are drawn as
+// separate carriageway lines (plus express lanes on the Dan Ryan), so a cross-section is shared between the
+// carriageways running alongside each other there: each gets an even share of the corridor width, or the part
+// of the right-of-way closer to it than to the others, and decks neither stack nor double count area.
+const DEFAULT_SEGMENT_WIDTH_FT = 150;
+const RIGHT_OF_WAY_DATASET = 'freeway_right_of_way';
+const RIGHT_OF_WAY_SEARCH_FT = 500;
+const PARALLEL_MAX_ANGLE = 30; // degrees off the segment's bearing (either way) for a carriageway to run alongside
+
+// Sliding windows: segments are fixed-length windows every step along each route instead of tiling it, and
+// the ranking keeps only the best of overlapping windows. Steps are floored to keep the window count sane.
+const SLIDING_MIN_STEP_FT = 25;
+
+// Segment IDs carry each route's direction of travel along its corridor. A stitched route only turns around
+// (and changes direction) where it heads back at least this far, so curves across the axis don't flip it.
+const ROUTE_TURNAROUND_MILES = 0.5;
+
+// Features scored by distance to the nearest feature. Unless individual radii are enabled, they all share
+// the global radius; density features keep their own search radius.
+const PROXIMITY_FEATURES = [
+    'ctaStations', 'metraStations', 'amtrakStations', 'parks', 'publicSchools', 'privateSchools',
+    'colleges', 'hospitals', 'landmarks', 'stadiums', 'ssa', 'tif', 'medicalDistrict',
+    'neighborhoodCenter', 'bridges', 'bridgeReuse'
+];
+const DENSITY_FEATURES = ['transitDensity', 'bikeNetwork', 'permits'];
+
+// Requirement gates, in the order applyRequirements runs them (labels are shown in the exclusion summary)
+const GATE_LABELS = {
+    studyArea: 'Study Area',
+    stationProximity: 'Station-Proximity Gate',
+    neighborhoods: 'Neighborhood Filter',
+    zoning: 'Zoning Allow-list',
+    ssa: 'Special Service Areas',
+    tif: 'TIF Districts',
+    bridgeAge: 'Bridge Condition Gate',
+    bridgeCondition: 'Bridge Rating Gate',
+    customRules: 'Custom Rules'
+};
+
+// Funding district datasets and the proximity feature scored from each. Each also gets a second index of just
+// the districts active through the construction horizon year, which the funding gates and scores query; custom
+// rules and other lookups keep the full dataset.
+const FUNDING_DATASETS = { tif_districts: 'tif', special_service_areas: 'ssa' };
+const FULL_LIFETIME_YEARS = 10; // remaining years past the horizon for a district's full lifetime weight
+
+// Neighborhood reconnection: a neighborhood is split when it reaches within the probe distance of the segment
+// on both sides; its area on each side is measured out to the extent distance from the freeway
+const NEIGHBORHOOD_SPLIT_PROBE_MILES = 0.1;
+const NEIGHBORHOOD_SPLIT_EXTENT_MILES = 5;
+const NEIGHBORHOOD_SPLIT_MIN_SHARE = 0.05; // smaller side's share of the area, below which it's a boundary sliver
+
+// Crossing gap: bridges (overpasses and underpasses) within the snap distance of a freeway centerline are
+// treated as existing crossings; the fixed normalization gives a full score at the full-gap walk to the nearest one
+const CROSSING_SNAP_MILES = 150 / 5280;
+const CROSSING_GAP_FULL_MILES = 0.5;
+
+// Detour reduction: street and sidewalk centerlines form the walk network (polygon outlines, like the sidewalks
+// dataset, are left out). A cap adds a straight crossing between the nearest network nodes on either side (within
+// the landing distance); shortest paths are searched out to the search distance, and the walkshed is what a
+// pedestrian reaches in WALKSHED_MINUTES at WALK_SPEED_MPH
+const WALK_DATASETS = ['street_centerlines', 'sidewalks'];
+// Street centerline classes for expressway lanes (1) and ramps (9); these, and streets named after a freeway or
+// as a ramp, are the freeways themselves and are left out of the walk network and cross-street labels
+const FREEWAY_STREET_CLASSES = ['1', '9'];
+const CAP_LANDING_MILES = 0.1;
+const DETOUR_SEARCH_MILES = 1.5;
+const WALK_SPEED_MPH = 3;
+const WALKSHED_MINUTES = 10;
+const WALKSHED_MILES = WALK_SPEED_MPH * WALKSHED_MINUTES / 60;
+// Destinations counted when newly inside the walkshed (matched to their nearest network node)
+const DETOUR_DESTINATIONS = [
+    'cta_rail_stations', 'metra_stations', 'public_schools', 'private_schools', 'parks', 'hospitals', 'colleges_universities'
+];
+// Fixed normalization maximums for each detour metric
+const DETOUR_FULL = { detour: 1.0, population: 5000, destinations: 10 };
+// Network distance mode: features reach the network at the nearest node within CAP_LANDING_MILES of a vertex
+// (polygon and line outlines are sampled down to this many vertices)
+const NETWORK_MAX_FEATURE_VERTICES = 200;
+
+// Cross-street labels: named street centerlines crossing each stitched route bound each segment;
+// crossings of the same street closer than the merge distance count once
+const CROSS_STREET_DATASET = 'street_centerlines';
+const CROSS_STREET_MERGE_FT = 150;
+const CORRIDOR_NAMES = {
+    'I-90/94': 'Kennedy',
+    'I-290': 'Eisenhower',
+    'I-55': 'Stevenson',
+    'I-90/94-Dan-Ryan': 'Dan Ryan',
+    'I-57': 'I-57'
+};
+
+// NBI component condition fields on bridges.geojson (0-9 scale; 0 means the component doesn't apply)
+const BRIDGE_COMPONENTS = {
+    deck: 'deck',
+    superstruc: 'superstructure',
+    substructu: 'substructure',
+    culverts: 'culvert'
+};
+
+/**
+ * Uniform grid over feature bounding boxes, built once per dataset so proximity and
+ * density lookups only touch candidates near the segment instead of every feature.
+ * Candidate pruning uses conservative bounding-box distance bounds, so results match
+ * a brute-force scan exactly.
+ */
+class SpatialIndex {
+    /**
+     * @param {Array} features - GeoJSON features to index
+     * @param {number} cellSizeDeg - Grid cell size in degrees (~0.7 miles at Chicago's latitude)
+     */
+    constructor(features, cellSizeDeg = 0.01) {
+        this.cellSize = cellSizeDeg;
+        this.entries = [];
+        this.cells = new Map();
+        this.extent = [Infinity, Infinity, -Infinity, -Infinity];
+
+        features.forEach((feature, index) => {
+            if (!feature || !feature.geometry) return;
+
+            let bbox;
+            try {
+                bbox = turf.bbox(feature);
+            } catch (error) {
+                return; // Skip invalid geometries
+            }
+            if (!bbox.every(isFinite)) return;
+
+            const entry = { feature, index, bbox };
+            this.entries.push(entry);
+
+            this.extent = [
+                Math.min(this.extent[0], bbox[0]),
+                Math.min(this.extent[1], bbox[1]),
+                Math.max(this.extent[2], bbox[2]),
+                Math.max(this.extent[3], bbox[3])
+            ];
+
+            const [x0, y0, x1, y1] = this.cellRange(bbox);
+            for (let x = x0; x <= x1; x++) {
+                for (let y = y0; y <= y1; y++) {
+                    const key = `${x},${y}`;
+                    if (!this.cells.has(key)) this.cells.set(key, []);
+                    this.cells.get(key).push(entry);
+                }
+            }
+        });
+    }
+
+    /**
+     * Smallest miles-per-degree-of-longitude scale (as a cosine) between a query bbox and the data
+     */
+    minCosLat(bbox) {
+        // Longitude degrees shrink toward the poles, so use the highest latitude involved
+        const maxAbsLat = Math.max(
+            Math.abs(bbox[1]), Math.abs(bbox[3]),
+            Math.abs(this.extent[1]), Math.abs(this.extent[3])
+        );
+        return Math.cos(maxAbsLat * Math.PI / 180);
+    }
+
+    cellRange(bbox) {
+        return [
+            Math.floor(bbox[0] / this.cellSize),
+            Math.floor(bbox[1] / this.cellSize),
+            Math.floor(bbox[2] / this.cellSize),
+            Math.floor(bbox[3] / this.cellSize)
+        ];
+    }
+
+    /**
+     * Lower bound (miles) on the distance between any point in bbox a and any point in bbox b
+     */
+    bboxDistanceLowerBound(a, b) {
+        const lonGap = Math.max(0, b[0] - a[2], a[0] - b[2]);
+        const latGap = Math.max(0, b[1] - a[3], a[1] - b[3]);
+        const cosLat = this.minCosLat(a);
+
+        // 1% margin covers the small-angle approximations in the longitude term
+        return Math.max(latGap * MILES_PER_DEGREE, lonGap * MILES_PER_DEGREE * cosLat) * 0.99;
+    }
+
+    /**
+     * Entries whose bounding boxes intersect the given bbox, in original dataset order
+     * @param {Array} bbox - [minLon, minLat, maxLon, maxLat]
+     * @returns {Array} Entries of { feature, index, bbox }
+     */
+    query(bbox) {
+        const [qx0, qy0, qx1, qy1] = this.cellRange(bbox);
+        const [ex0, ey0, ex1, ey1] = this.cellRange(this.extent);
+        const seen = new Set();
+        const results = [];
+
+        for (let x = Math.max(qx0, ex0); x <= Math.min(qx1, ex1); x++) {
+            for (let y = Math.max(qy0, ey0); y <= Math.min(qy1, ey1); y++) {
+                const cell = this.cells.get(`${x},${y}`);
+                if (!cell) continue;
+
+                for (const entry of cell) {
+                    if (seen.has(entry)) continue;
+                    seen.add(entry);
+
+                    if (entry.bbox[0] <= bbox[2] && entry.bbox[2] >= bbox[0] &&
+                        entry.bbox[1] <= bbox[3] && entry.bbox[3] >= bbox[1]) {
+                        results.push(entry);
+                    }
+                }
+            }
+        }
+
+        // Preserve dataset order so first-match lookups and sums behave like a full scan
+        return results.sort((a, b) => a.index - b.index);
+    }
+
+    /**
+     * Nearest feature by an exact distance function, searching outward in rings of cells
+     * @param {Array} bbox - Bounding box of the query geometry
+     * @param {Function} distanceFn - (feature) => distance in miles; must be >= the bbox gap
+     * @param {Function} filter - Optional (feature) => boolean to restrict candidates
+     * @returns {Object} { feature, distance } - ties go to the earlier feature in the dataset
+     */
+    nearest(bbox, distanceFn, filter = null) {
+        let best = null;
+        let bestDistance = Infinity;
+
+        if (this.entries.length === 0) return { feature: null, distance: bestDistance };
+
+        const [qx0, qy0, qx1, qy1] = this.cellRange(bbox);
+        const [ex0, ey0, ex1, ey1] = this.cellRange(this.extent);
+        const maxRing = Math.max(qx0 - ex0, qy0 - ey0, ex1 - qx1, ey1 - qy1, 0);
+        const visited = new Set();
+
+        for (let ring = 0; ring <= maxRing; ring++) {
+            const candidates = [];
+            const x0 = qx0 - ring, y0 = qy0 - ring, x1 = qx1 + ring, y1 = qy1 + ring;
+
+            for (let x = Math.max(x0, ex0); x <= Math.min(x1, ex1); x++) {
+                for (let y = Math.max(y0, ey0); y <= Math.min(y1, ey1); y++) {
+                    // Only the cells on this ring's border are new
+                    if (x !== x0 && x !== x1 && y !== y0 && y !== y1) continue;
+
+                    const cell = this.cells.get(`${x},${y}`);
+                    if (!cell) continue;
+
+                    for (const entry of cell) {
+                        if (visited.has(entry)) continue;
+                        visited.add(entry);
+                        if (!filter || filter(entry.feature)) candidates.push(entry);
+                    }
+                }
+            }
+
+            candidates.sort((a, b) => a.index - b.index);
+
+            for (const entry of candidates) {
+                if (this.bboxDistanceLowerBound(bbox, entry.bbox) > bestDistance) continue;
+
+                const distance = distanceFn(entry.feature);
+                if (distance < bestDistance || (distance === bestDistance && best && entry.index < best.index)) {
+                    bestDistance = distance;
+                    best = entry;
+                }
+            }
+
+            // Anything not yet visited lies entirely outside the cells searched so far
+            const searched = [x0 * this.cellSize, y0 * this.cellSize, (x1 + 1) * this.cellSize, (y1 + 1) * this.cellSize];
+            const cosLat = this.minCosLat(bbox);
+            const outsideBound = Math.min(
+                (bbox[1] - searched[1]) * MILES_PER_DEGREE,
+                (searched[3] - bbox[3]) * MILES_PER_DEGREE,
+                (bbox[0] - searched[0]) * MILES_PER_DEGREE * cosLat,
+                (searched[2] - bbox[2]) * MILES_PER_DEGREE * cosLat
+            ) * 0.99;
+
+            if (bestDistance < outsideBound) break;
+        }
+
+        return { feature: best ? best.feature : null, distance: bestDistance };
+    }
+}
+
+/**
+ * Binary min-heap of [priority, value] pairs, for shortest-path searches
+ */
+class MinHeap {
+    constructor() {
+        this.items = [];
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    push(priority, value) {
+        const items = this.items;
+        items.push([priority, value]);
+
+        let i = items.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (items[parent][0] <= items[i][0]) break;
+            [items[parent], items[i]] = [items[i], items[parent]];
+            i = parent;
+        }
+    }
+
+    pop() {
+        const items = this.items;
+        const top = items[0];
+        const last = items.pop();
+
+        if (items.length > 0) {
+            items[0] = last;
+            let i = 0;
+            for (;;) {
+                const left = 2 * i + 1;
+                const right = left + 1;
+                let smallest = i;
+                if (left < items.length && items[left][0] < items[smallest][0]) smallest = left;
+                if (right < items.length && items[right][0] < items[smallest][0]) smallest = right;
+                if (smallest === i) break;
+                [items[smallest], items[i]] = [items[i], items[smallest]];
+                i = smallest;
+            }
+        }
+
+        return top;
+    }
+}
+
+/**
+ * Routable walk network built from street and sidewalk centerlines, so distances respect the freeway
+ * as a barrier. Line vertices become nodes (vertices within ~1 m are merged) and consecutive vertices
+ * become edges; lines only connect where they share a vertex, so a street carried over the freeway on a
+ * bridge crosses it without connecting to anything below. Polygon outlines are skipped: they never share
+ * vertices with centerlines. Only the largest connected component is snapped to, so isolated fragments
+ * can't stand in for the street grid.
+ */
+class WalkGraph {
+    /**
+     * @param {Array} features - GeoJSON LineString or MultiLineString features (other geometry is skipped)
+     * @param {number} cellSizeDeg - Node lookup grid cell size in degrees (~0.14 miles at Chicago's latitude)
+     */
+    constructor(features, cellSizeDeg = 0.002) {
+        this.cellSize = cellSizeDeg;
+        this.coords = [];
+        this.adjacency = [];
+        this.nodeIds = new Map();
+        this.cells = new Map();
+
+        for (const feature of features) {
+            for (const line of this.getLines(feature.geometry)) {
+                for (let i = 1; i < line.length; i++) {
+                    this.addEdge(line[i - 1], line[i]);
+                }
+            }
+        }
+
+        this.labelComponents();
+    }
+
+    get nodeCount() {
+        return this.coords.length;
+    }
+
+    getLines(geometry) {
+        switch (geometry?.type) {
+            case 'LineString': return [geometry.coordinates];
+            case 'MultiLineString': return geometry.coordinates;
+            default: return [];
+        }
+    }
+
+    getNode(coord) {
+        const key = `${coord[0].toFixed(5)},${coord[1].toFixed(5)}`;
+        let id = this.nodeIds.get(key);
+        if (id === undefined) {
+            id = this.coords.length;
+            this.nodeIds.set(key, id);
+            this.coords.push([coord[0], coord[1]]);
+            this.adjacency.push([]);
+
+            const cellKey = `${Math.floor(coord[0] / this.cellSize)},${Math.floor(coord[1] / this.cellSize)}`;
+            if (!this.cells.has(cellKey)) this.cells.set(cellKey, []);
+            this.cells.get(cellKey).push(id);
+        }
+        return id;
+    }
+
+    addEdge(from, to) {
+        const a = this.getNode(from);
+        const b = this.getNode(to);
+        if (a === b) return;
+
+        const miles = this.distanceMiles(this.coords[a], this.coords[b]);
+        this.adjacency[a].push([b, miles]);
+        this.adjacency[b].push([a, miles]);
+    }
+
+    /**
+     * Label each node with its connected component, and keep the largest as the main network
+     */
+    labelComponents() {
+        this.components = new Int32Array(this.coords.length).fill(-1);
+        this.mainComponent = -1;
+
+        let componentCount = 0;
+        let largestSize = 0;
+        for (let start = 0; start < this.coords.length; start++) {
+            if (this.components[start] !== -1) continue;
+
+            const component = componentCount++;
+            const stack = [start];
+            this.components[start] = component;
+            let size = 0;
+            while (stack.length > 0) {
+                const node = stack.pop();
+                size++;
+                for (const [neighbor] of this.adjacency[node]) {
+                    if (this.components[neighbor] === -1) {
+                        this.components[neighbor] = component;
+                        stack.push(neighbor);
+                    }
+                }
+            }
+
+            if (size > largestSize) {
+                largestSize = size;
+                this.mainComponent = component;
+            }
+        }
+    }
+
+    /**
+     * Equirectangular distance - accurate to well under 1% over walking distances
+     */
+    distanceMiles(a, b) {
+        const cosLat = Math.cos(((a[1] + b[1]) / 2) * Math.PI / 180);
+        const dx = (b[0] - a[0]) * cosLat;
+        const dy = b[1] - a[1];
+        return Math.sqrt(dx * dx + dy * dy) * MILES_PER_DEGREE;
+    }
+
+    /**
+     * Nearest node of the main network to a coordinate, within maxMiles
+     * @param {Array} coord - [lon, lat]
+     * @param {number} maxMiles - Search distance
+     * @param {Function} filter - Optional (coord) => boolean to restrict candidates
+     * @returns {Object|null} { node, distance } or null if none is close enough
+     */
+    nearestNode(coord, maxMiles, filter = null) {
+        const padLat = maxMiles / MILES_PER_DEGREE;
+        const padLon = padLat / Math.cos(coord[1] * Math.PI / 180);
+        const x0 = Math.floor((coord[0] - padLon) / this.cellSize);
+        const x1 = Math.floor((coord[0] + padLon) / this.cellSize);
+        const y0 = Math.floor((coord[1] - padLat) / this.cellSize);
+        const y1 = Math.floor((coord[1] + padLat) / this.cellSize);
+
+        let best = null;
+        for (let x = x0; x <= x1; x++) {
+            for (let y = y0; y <= y1; y++) {
+                for (const node of this.cells.get(`${x},${y}`) || []) {
+                    if (this.components[node] !== this.mainComponent) continue;
+                    const distance = this.distanceMiles(coord, this.coords[node]);
+                    if (distance > maxMiles || (best && distance >= best.distance)) continue;
+                    if (filter && !filter(this.coords[node])) continue;
+                    best = { node, distance };
+                }
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Dijkstra from one or more sources, out to maxMiles
+     * @param {number|Array} sources - Node id, or [{ node, distance }] starting at an initial distance
+     * @returns {Map} node -> network distance in miles, for every node reached
+     */
+    shortestPaths(sources, maxMiles) {
+        const distances = new Map();
+        const heap = new MinHeap();
+        for (const { node, distance } of Array.isArray(sources) ? sources : [{ node: sources, distance: 0 }]) {
+            if (distance < (distances.get(node) ?? Infinity)) {
+                distances.set(node, distance);
+                heap.push(distance, node);
+            }
+        }
+
+        while (heap.size > 0) {
+            const [distance, node] = heap.pop();
+            if (distance > distances.get(node)) continue; // Stale entry
+
+            for (const [neighbor, miles] of this.adjacency[node]) {
+                const next = distance + miles;
+                if (next > maxMiles) continue;
+                if (next < (distances.get(neighbor) ?? Infinity)) {
+                    distances.set(neighbor, next);
+                    heap.push(next, neighbor);
+                }
+            }
+        }
+
+        return distances;
+    }
+}
 
 class AnalysisEngine {
     constructor() {
         this.segments = [];
         this.datasets = new Map();
+        this.spatialIndexes = new Map();
+        this.geometryCache = new WeakMap();
+        this.networkSearchMiles = null;
         this.config = null;
+        this.candidateWindows = null;
     }
 
     async runAnalysis(config, datasets) {
         try {
             this.config = config;
             this.datasets = new Map(Object.entries(datasets));
+            this.geometryCache = new WeakMap();
+            this.networkSearchMiles = null; // radii can change between runs
+
+            // Step 0: Index datasets for proximity and density lookups
+            this.postProgress(0, 'Building spatial indexes...');
+            this.buildSpatialIndexes();
+            this.walkGraph = this.buildWalkGraph();
+            if (this.config.distanceMode === 'network' && !this.walkGraph) {
+                console.warn('Network distance mode needs street centerlines - using straight-line distances');
+            }
 
 
             // Step 1: Generate segments
@@ -32,6 +561,7 @@ class AnalysisEngine {
             // Step 4: Calculate final scores
             this.postProgress(100, 'Computing final scores...');
             const results = this.calculateFinalScores();
+            const excludedSegments = this.getExcludedSegments();
 
             this.postProgress(100, 'Analysis complete!');
 
@@ -40,8 +570,19 @@ class AnalysisEngine {
                 type: 'complete',
                 data: {
                     segments: results,
+                    candidateWindows: this.candidateWindows,
                     totalSegments: results.length,
-                    analysisTime: Date.now()
+                    excludedSegments,
+                    exclusionSummary: this.getExclusionSummary(),
+                    analysisTime: Date.now(),
+                    radii: this.getRadiiUsed(),
+                    decays: this.getDecaysUsed(),
+                    cumulative: this.getCumulativeUsed(),
+                    normalization: this.getNormalizationUsed(),
+                    catchment: this.getCatchmentSettings(),
+                    fundingHorizon: this.getFundingHorizon(),
+                    distanceMode: this.isNetworkDistance() ? 'network' : 'euclidean',
+                    segmentation: this.getSegmentationUsed()
                 }
             });
 
@@ -53,6 +594,76 @@ class AnalysisEngine {
         }
     }
 
+    buildSpatialIndexes() {
+        this.spatialIndexes = new Map();
+
+        for (const [datasetKey, dataset] of this.datasets.entries()) {
+            // Freeways are only used to generate segments, never queried by proximity
+            if (datasetKey === 'freeways' || !dataset || !Array.isArray(dataset.features)) continue;
+
+            // Permits are only ever counted within the lookback window, so index just those
+            let features = dataset.features;
+            if (datasetKey === 'building_permits') {
+                features = this.filterRecentPermits(features);
+            } else if (FUNDING_DATASETS[datasetKey]) {
+                const active = this.filterActiveDistricts(features);
+                this.spatialIndexes.set(this.getActiveDistrictsKey(datasetKey), new SpatialIndex(active));
+                console.log(`${datasetKey}: ${active.length} of ${features.length} districts active through horizon`);
+            }
+            this.spatialIndexes.set(datasetKey, new SpatialIndex(features));
+        }
+
+        console.log(`Built spatial indexes for ${this.spatialIndexes.size} datasets`);
+    }
+
+    /**
+     * Walk network from whichever street and sidewalk centerline datasets were loaded
+     * @returns {WalkGraph|null} null if none were
+     */
+    buildWalkGraph() {
+        // Freeway lanes and ramps are not walkable, and would let landings snap onto the carriageway
+        const features = WALK_DATASETS
+            .filter(datasetKey => this.datasets.get(datasetKey)?.features)
+            .flatMap(datasetKey => this.datasets.get(datasetKey).features)
+            .filter(feature => !this.isFreewayStreet(feature.properties || {}));
+
+        if (features.length === 0) {
+            console.log('No street or sidewalk centerlines loaded - skipping walk network');
+            return null;
+        }
+
+        const graph = new WalkGraph(features);
+        console.log(`Built walk network with ${graph.nodeCount} nodes from ${features.length} centerlines`);
+        return graph;
+    }
+
+    getSpatialIndex(datasetKey) {
+        return this.spatialIndexes.get(datasetKey) || null;
+    }
+
+    /**
+     * Memoize derived geometry (boundaries, vertices, bboxes) per source object for this run
+     */
+    getCachedGeometry(source, key, build) {
+        let entry = this.geometryCache.get(source);
+        if (!entry) {
+            entry = {};
+            this.geometryCache.set(source, entry);
+        }
+        if (!(key in entry)) {
+            entry[key] = build();
+        }
+        return entry[key];
+    }
+
+    getSegmentBoundary(segment) {
+        return this.getCachedGeometry(segment.geometry, 'boundary', () => turf.polygonToLine(segment.geometry));
+    }
+
+    getSegmentBbox(segment) {
+        return this.getCachedGeometry(segment.geometry, 'bbox', () => turf.bbox(segment.geometry));
+    }
+
 
     async generateSegments() {
         if (!this.datasets.has('freeways')) {
@@ -66,11 +677,13 @@ class AnalysisEngine {
         // unit helpers
         const FT_TO_KM = 0.0003048; // ft -> km
         const targetLengthKm = targetLengthFt * FT_TO_KM;
-        const halfWidthKm = (20 * FT_TO_KM) / 2; // 20ft total width -> half-width in km
+        const rightOfWay = this.config.useRightOfWay !== false ? this.getSpatialIndex(RIGHT_OF_WAY_DATASET) : null;
+        const slidingStepFt = this.getSlidingStepFt();
+        const slidingStepKm = slidingStepFt ? slidingStepFt * FT_TO_KM : null;
+        const toleranceKm = ROUTE_TOLERANCE_FT * FT_TO_KM;
 
         // Reset segments
         this.segments = [];
-        let segmentId = 0;
 
         // Group LineStrings by freeway corridor (prefer corridor_id, fallback to STREET_NAM mapping)
         const groups = new Map();
@@ -91,35 +704,115 @@ class AnalysisEngine {
             groups.get(corridor).push(f);
         }
 
-        // Helper: make a 20ft-wide rectangle polygon aligned to the line segment between two points
-        const makeRectangle = (startPoint, endPoint) => {
-            const bearing = turf.bearing(startPoint, endPoint);
-            const center = turf.midpoint(startPoint, endPoint);
-            const segLenKm = turf.distance(startPoint, endPoint, { units: 'kilometers' });
-
-            if (segLenKm === 0) return null; // degenerate
+        // Helper: the freeway footprint between two distances along a route - the route slice buffered by
+        // half the width on each side, with flat ends so neighbouring segments meet without overlapping
+        const makeFootprint = (route, startKm, endKm, widthFt) => {
+            const halfWidthKm = (widthFt * FT_TO_KM) / 2;
+            const options = { units: 'kilometers' };
+            // Simplified to about a meter, as densely digitized curves otherwise slow every distance test
+            const slice = turf.simplify(turf.lineSliceAlong(route, startKm, endKm, options), { tolerance: 0.00001 });
+            const coords = slice.geometry.coordinates.filter((coord, i, all) =>
+                i === 0 || coord[0] !== all[i - 1][0] || coord[1] !== all[i - 1][1]);
+
+            if (coords.length < 2 || endKm - startKm <= 0) return null; // degenerate
+
+            // Offset each vertex perpendicular to the route direction through it
+            const left = [];
+            const right = [];
+            coords.forEach((coord, i) => {
+                const bearing = turf.bearing(coords[Math.max(0, i - 1)], coords[Math.min(coords.length - 1, i + 1)]);
+                left.push(turf.destination(coord, halfWidthKm, bearing - 90, options).geometry.coordinates);
+                right.push(turf.destination(coord, halfWidthKm, bearing + 90, options).geometry.coordinates);
+            });
 
-            const halfLen = segLenKm / 2;
+            // Where the centerline doubles back the offsets cross; a round-ended buffer stays valid there
+            let polygon = turf.polygon([[...left, ...right.reverse(), left[0]]]);
+            if (turf.kinks(polygon).features.length > 0) {
+                polygon = turf.buffer(slice, halfWidthKm, options);
+            }
+            const center = turf.along(route, (startKm + endKm) / 2, options);
 
-            // Along the segment axis
-            const tipA = turf.destination(center, halfLen, bearing, { units: 'kilometers' });
-            const tipB = turf.destination(center, halfLen, bearing + 180, { units: 'kilometers' });
+            return {
+                polygon,
+                center: center.geometry.coordinates,
+                lengthKm: endKm - startKm,
+                bearing: turf.bearing(coords[0], coords[coords.length - 1])
+            };
+        };
 
-            // Offset perpendicular to make rectangle
-            const a1 = turf.destination(tipA, halfWidthKm, bearing + 90, { units: 'kilometers' });
-            const a2 = turf.destination(tipA, halfWidthKm, bearing - 90, { units: 'kilometers' });
-            const b1 = turf.destination(tipB, halfWidthKm, bearing - 90, { units: 'kilometers' });
-            const b2 = turf.destination(tipB, halfWidthKm, bearing + 90, { units: 'kilometers' });
+        // Helper: the cap deck for a stretch of a corridor - the right-of-way inside a wide footprint when
+        // right-of-way polygons are loaded and reach the route there, otherwise the corridor's set width -
+        // shared with the corridor's other carriageways running alongside
+        const makeDeck = (corridor, route, routeRef, startKm, endKm) => {
+            if (rightOfWay) {
+                const search = makeFootprint(route, startKm, endKm, RIGHT_OF_WAY_SEARCH_FT);
+                const parallels = search ? this.getParallelCarriageways(route, startKm, endKm, routeRef.others,
+                    search.center, search.bearing, RIGHT_OF_WAY_SEARCH_FT / 2) : [];
+                const polygon = search && this.clipToRightOfWay(search.polygon, rightOfWay, search.center, parallels);
+                if (polygon) {
+                    const areaSqFt = turf.area(polygon) * SQ_FT_PER_SQ_METER;
+                    return {
+                        ...search,
+                        polygon,
+                        areaSqFt,
+                        widthFt: areaSqFt / (search.lengthKm / FT_TO_KM),
+                        widthSource: 'right-of-way'
+                    };
+                }
+            }
 
-            const polygon = turf.polygon([[
-                a1.geometry.coordinates,
-                a2.geometry.coordinates,
-                b1.geometry.coordinates,
-                b2.geometry.coordinates,
-                a1.geometry.coordinates
-            ]]);
+            // Measured as width times length, since buffered fallbacks on tight curves add round ends
+            const corridorWidth = this.getCorridorWidth(corridor);
+            const source = corridorWidth.source;
+            const center = turf.along(route, (startKm + endKm) / 2, { units: 'kilometers' }).geometry.coordinates;
+            const bearing = turf.bearing(turf.along(route, startKm, { units: 'kilometers' }),
+                turf.along(route, endKm, { units: 'kilometers' }));
+            const parallels = this.getParallelCarriageways(route, startKm, endKm, routeRef.others,
+                center, bearing, corridorWidth.widthFt);
+            const widthFt = corridorWidth.widthFt / (parallels.length + 1);
+            const footprint = makeFootprint(route, startKm, endKm, widthFt);
+            if (!footprint) return null;
+
+            // Where carriageways are closer than their shares, each stops halfway to the other
+            let polygon = footprint.polygon;
+            for (const other of parallels) {
+                polygon = this.clipToNearerSide(polygon, center, other) || polygon;
+            }
+            const areaSqFt = widthFt * footprint.lengthKm / FT_TO_KM;
+            return {
+                ...footprint,
+                polygon,
+                areaSqFt: polygon === footprint.polygon ? areaSqFt : Math.min(areaSqFt, turf.area(polygon) * SQ_FT_PER_SQ_METER),
+                widthFt,
+                widthSource: source
+            };
+        };
 
-            return { polygon, center: center.geometry.coordinates, lengthKm: segLenKm };
+        // Helper: add the segment between two distances along a route, identified by its direction of travel
+        // and stations
+        const addSegment = (corridor, route, routeRef, startKm, endKm) => {
+            const deck = makeDeck(corridor, route, routeRef, startKm, endKm);
+            if (!deck) return;
+
+            const direction = this.getTravelDirection(route, routeRef.axis, (startKm + endKm) / 2);
+            const label = `${routeRef.name} ${direction}`;
+
+            this.segments.push({
+                id: this.getSegmentId(label, startKm * 3280.84, endKm * 3280.84),
+                geometry: deck.polygon,
+                properties: {
+                    freeway: corridor,
+                    length_ft: deck.lengthKm * 3280.84,
+                    width_ft: deck.widthFt,
+                    width_source: deck.widthSource,
+                    deck_area_sqft: deck.areaSqFt,
+                    center: deck.center
+                },
+                // Position along the stitched route, for measuring along the corridor
+                route: { id: routeRef.id, label, direction, line: route, startKm, endKm },
+                scores: {},
+                eligible: true
+            });
         };
 
         // Helper: stitch connected LineStrings into continuous routes
@@ -201,29 +894,32 @@ class AnalysisEngine {
             // Stitch LineStrings into continuous routes
             const stitchedRoutes = stitchLineStrings(features);
 
-            // Segment each continuous route
-            for (const route of stitchedRoutes) {
+            // Segment each continuous route. Routes after the first (in stitch order) are numbered in segment
+            // IDs, since each route's stations start from zero.
+            const axis = this.getCorridorAxis(stitchedRoutes);
+            for (const [routeIndex, route] of stitchedRoutes.entries()) {
+                const routeRef = {
+                    id: `${corridor}#${routeIndex}`,
+                    name: routeIndex === 0 ? corridor : `${corridor}#${routeIndex + 1}`,
+                    axis,
+                    others: stitchedRoutes.filter(other => other !== route)
+                };
                 const totalKm = turf.length(route, { units: 'kilometers' });
                 if (totalKm === 0) continue;
 
                 // If the entire route is shorter than target, create one segment
                 if (totalKm <= targetLengthKm) {
-                    const startPt = turf.along(route, 0, { units: 'kilometers' });
-                    const endPt = turf.along(route, totalKm, { units: 'kilometers' });
-                    const rect = makeRectangle(startPt, endPt);
-                    if (!rect) continue;
-
-                    this.segments.push({
-                        id: `segment-${segmentId++}`,
-                        geometry: rect.polygon,
-                        properties: {
-                            freeway: corridor,
-                            length_ft: rect.lengthKm * 3280.84,
-                            center: rect.center
-                        },
-                        scores: {},
-                        eligible: true
-                    });
+                    addSegment(corridor, route, routeRef, 0, totalKm);
+                    continue;
+                }
+
+                // Sliding windows: fixed-length windows every step, plus one ending at the route end
+                if (slidingStepKm) {
+                    const lastStartKm = totalKm - targetLengthKm;
+                    for (let startKm = 0; startKm < lastStartKm - toleranceKm; startKm += slidingStepKm) {
+                        addSegment(corridor, route, routeRef, startKm, startKm + targetLengthKm);
+                    }
+                    addSegment(corridor, route, routeRef, lastStartKm, totalKm);
                     continue;
                 }
 
@@ -232,30 +928,231 @@ class AnalysisEngine {
                 const actualSegmentLength = totalKm / numSegments; // This ensures we use the full route
 
                 for (let i = 0; i < numSegments; i++) {
-                    const startDist = i * actualSegmentLength;
-                    const endDist = (i + 1) * actualSegmentLength;
-
-                    const startPt = turf.along(route, startDist, { units: 'kilometers' });
-                    const endPt = turf.along(route, endDist, { units: 'kilometers' });
-                    const rect = makeRectangle(startPt, endPt);
-                    if (!rect) continue;
-
-                    this.segments.push({
-                        id: `segment-${segmentId++}`,
-                        geometry: rect.polygon,
-                        properties: {
-                            freeway: corridor,
-                            length_ft: rect.lengthKm * 3280.84,
-                            center: rect.center
-                        },
-                        scores: {},
-                        eligible: true
-                    });
+                    addSegment(corridor, route, routeRef, i * actualSegmentLength, (i + 1) * actualSegmentLength);
+                }
+            }
+        }
+
+        const clipped = this.segments.filter(segment => segment.properties.width_source === 'right-of-way').length;
+        console.log(`Generated ${this.segments.length} ${slidingStepFt ? `windows (every ${slidingStepFt}ft, ` : 'segments (min '}${targetLengthFt}ft, ` +
+            `${rightOfWay ? `${clipped} fitted to right-of-way` : 'corridor widths'})`);
+    }
+
+    /**
+     * Whether a corridor runs mostly east-west or north-south, from the extent of its routes
+     * @returns {string} 'east-west' or 'north-south'
+     */
+    getCorridorAxis(routes) {
+        const [minLng, minLat, maxLng, maxLat] = turf.bbox(turf.featureCollection(routes));
+        const widthMiles = (maxLng - minLng) * MILES_PER_DEGREE * Math.cos((minLat + maxLat) / 2 * Math.PI / 180);
+        const heightMiles = (maxLat - minLat) * MILES_PER_DEGREE;
+        return widthMiles >= heightMiles ? 'east-west' : 'north-south';
+    }
+
+    /**
+     * Direction of travel along a corridor's axis at a station, so both carriageways of a divided freeway
+     * are told apart. It is set once per carriageway run of the stitched route (see getRouteRuns), so curves
+     * that swing across the axis don't flip it from one segment to the next.
+     * @param {Object} route - Stitched route LineString
+     * @param {number} stationKm - Distance along the route
+     * @returns {string} 'EB' / 'WB' or 'NB' / 'SB'
+     */
+    getTravelDirection(route, axis, stationKm) {
+        const runs = this.getRouteRuns(route, axis);
+        const run = runs.find(candidate => stationKm <= candidate.endKm) || runs[runs.length - 1];
+        if (axis === 'east-west') return run.increasing ? 'EB' : 'WB';
+        return run.increasing ? 'NB' : 'SB';
+    }
+
+    /**
+     * Split a stitched route into runs heading one way along the corridor axis. A route that doubles back
+     * (both carriageways stitched end to end) turns around where its position along the axis retreats
+     * more than ROUTE_TURNAROUND_MILES from the furthest point reached; smaller wiggles stay in the run.
+     * @returns {Array} [{ endKm, increasing }] in route order, increasing meaning east or north
+     */
+    getRouteRuns(route, axis) {
+        return this.getCachedGeometry(route, `runs:${axis}`, () => {
+            const coords = route.geometry.coordinates;
+            const cosLat = Math.cos(coords[0][1] * Math.PI / 180);
+            const position = coord => (axis === 'east-west' ? coord[0] * cosLat : coord[1]) * MILES_PER_DEGREE;
+
+            const runs = [];
+            let runStart = position(coords[0]);
+            let extreme = runStart;
+            let extremeKm = 0;
+            let increasing = null;
+            let km = 0;
+            for (let i = 1; i < coords.length; i++) {
+                km += turf.distance(coords[i - 1], coords[i], { units: 'kilometers' });
+                const value = position(coords[i]);
+
+                if (increasing === null) {
+                    // Heading not settled until the route has moved far enough one way
+                    if (Math.abs(value - runStart) > ROUTE_TURNAROUND_MILES) increasing = value > runStart;
+                    extreme = value;
+                    extremeKm = km;
+                } else if (increasing ? value >= extreme : value <= extreme) {
+                    extreme = value;
+                    extremeKm = km;
+                } else if (Math.abs(extreme - value) > ROUTE_TURNAROUND_MILES) {
+                    runs.push({ endKm: extremeKm, increasing });
+                    increasing = !increasing;
+                    extreme = value;
+                    extremeKm = km;
                 }
             }
+
+            runs.push({ endKm: km, increasing: increasing ?? position(coords[coords.length - 1]) >= position(coords[0]) });
+            return runs;
+        });
+    }
+
+    /**
+     * Segment IDs are the route, direction and start/end stations in whole feet, e.g. 'I-290 EB@12,300–12,600ft',
+     * so the same stretch of freeway keeps its ID whatever else is selected
+     */
+    getSegmentId(routeLabel, startFt, endFt) {
+        const station = (feet) => Math.round(feet).toLocaleString('en-US');
+        return `${routeLabel}@${station(startFt)}–${station(endFt)}ft`;
+    }
+
+    /**
+     * Step between sliding windows, no longer than the window itself
+     * @returns {number|null} Feet, or null when segments tile each route instead
+     */
+    getSlidingStepFt() {
+        const { enabled, stepFt } = this.config.slidingWindow || {};
+        if (!enabled) return null;
+        return Math.min(Math.max(stepFt || 0, SLIDING_MIN_STEP_FT), this.config.segmentLength);
+    }
+
+    getSegmentWidthFt() {
+        return this.config.segmentWidth > 0 ? this.config.segmentWidth : DEFAULT_SEGMENT_WIDTH_FT;
+    }
+
+    /**
+     * Cap width for a corridor: its own setting if there is one, otherwise the default segment width
+     * @returns {Object} { widthFt, source } - source is 'corridor' or 'default'
+     */
+    getCorridorWidth(corridor) {
+        const widthFt = this.config.corridorWidths?.[corridor];
+        return widthFt > 0
+            ? { widthFt, source: 'corridor' }
+            : { widthFt: this.getSegmentWidthFt(), source: 'default' };
+    }
+
+    /**
+     * Other carriageways of the corridor running alongside a segment: routes passing within maxFt of its
+     * center on a bearing within PARALLEL_MAX_ANGLE of the segment's (in either direction of travel). A route
+     * that doubles back (both carriageways stitched into one line) counts too, away from the segment itself.
+     * @param {Object} route - The segment's stitched route, with the segment from startKm to endKm along it
+     * @param {Array} others - The corridor's other stitched routes
+     * @returns {Array} [lng, lat] of the nearest point on each parallel route
+     */
+    getParallelCarriageways(route, startKm, endKm, others, center, bearing, maxFt) {
+        const options = { units: 'kilometers' };
+        const maxKm = maxFt / 3280.84;
+        const point = turf.point(center);
+        const [x, y] = center;
+        const padLat = maxFt / 5280 / MILES_PER_DEGREE;
+        const padLon = padLat / Math.cos(y * Math.PI / 180);
+
+        // The segment's own route before and after it, leaving a gap so a bend at either end isn't counted
+        const routeKm = this.getCachedGeometry(route, 'lengthKm', () => turf.length(route, options));
+        const ownPieces = [[0, startKm - maxKm], [endKm + maxKm, routeKm]]
+            .filter(([fromKm, toKm]) => toKm - fromKm > 0.01)
+            .map(([fromKm, toKm]) => turf.lineSliceAlong(route, fromKm, toKm, options));
+
+        const parallels = [];
+        for (const line of [...others, ...ownPieces]) {
+            const [minX, minY, maxX, maxY] = this.getCachedGeometry(line, 'bbox', () => turf.bbox(line));
+            if (x < minX - padLon || x > maxX + padLon || y < minY - padLat || y > maxY + padLat) continue;
+
+            const nearest = turf.nearestPointOnLine(line, point, options);
+            if (nearest.properties.dist > maxKm) continue;
+
+            // Local bearing of the other carriageway through its nearest point
+            const location = nearest.properties.location;
+            const lineKm = this.getCachedGeometry(line, 'lengthKm', () => turf.length(line, options));
+            const before = turf.along(line, Math.max(0, location - 0.05), options);
+            const after = turf.along(line, Math.min(lineKm, location + 0.05), options);
+            const angle = Math.abs(((turf.bearing(before, after) - bearing) % 180 + 180) % 180);
+            if (Math.min(angle, 180 - angle) <= PARALLEL_MAX_ANGLE) {
+                parallels.push(nearest.geometry.coordinates);
+            }
+        }
+        return parallels;
+    }
+
+    /**
+     * Clip a footprint to the right-of-way polygons it overlaps, merged across polygons (right-of-way is
+     * often split into parcels). With carriageways alongside, only the part closer to this carriageway's
+     * center than to theirs is kept. Only the largest piece is kept, since a deck is one continuous
+     * structure and segment geometry is always a single polygon.
+     * @param {Object} footprint - Polygon feature
+     * @param {SpatialIndex} rightOfWay - Index of right-of-way polygons
+     * @param {Array} center - [lng, lat] of this carriageway at the segment
+     * @param {Array} parallels - [lng, lat] of each carriageway alongside, from getParallelCarriageways
+     * @returns {Object|null} Polygon feature, or null if the footprint is outside the right-of-way
+     */
+    clipToRightOfWay(footprint, rightOfWay, center, parallels = []) {
+        for (const other of parallels) {
+            footprint = footprint && this.clipToNearerSide(footprint, center, other);
+        }
+        if (!footprint) return null;
+
+        let merged = null;
+
+        for (const { feature } of rightOfWay.query(turf.bbox(footprint))) {
+            const type = feature.geometry?.type;
+            if (type !== 'Polygon' && type !== 'MultiPolygon') continue;
+
+            try {
+                const clipped = turf.intersect(footprint, feature);
+                if (clipped) merged = merged ? turf.union(merged, clipped) || merged : clipped;
+            } catch (error) {
+                console.warn('Skipping invalid right-of-way polygon:', error.message);
+            }
+        }
+        if (!merged) return null;
+
+        return this.getLargestPiece(merged);
+    }
+
+    /**
+     * Part of a polygon closer to one point than to another: clipped at their perpendicular bisector
+     * @returns {Object|null} Polygon feature, null if nothing is left
+     */
+    clipToNearerSide(polygon, near, far) {
+        const options = { units: 'kilometers' };
+        const reachKm = 2 * RIGHT_OF_WAY_SEARCH_FT / 3280.84 + turf.distance(near, far, options);
+        const midpoint = turf.midpoint(near, far);
+        const towardNear = turf.bearing(far, near);
+
+        // Rectangle from the bisector out past the near side
+        const a = turf.destination(midpoint, reachKm, towardNear - 90, options);
+        const b = turf.destination(midpoint, reachKm, towardNear + 90, options);
+        const halfPlane = turf.polygon([[
+            a.geometry.coordinates,
+            b.geometry.coordinates,
+            turf.destination(b, reachKm, towardNear, options).geometry.coordinates,
+            turf.destination(a, reachKm, towardNear, options).geometry.coordinates,
+            a.geometry.coordinates
+        ]]);
+
+        try {
+            const clipped = turf.intersect(polygon, halfPlane);
+            return clipped ? this.getLargestPiece(clipped) : null;
+        } catch (error) {
+            return polygon;
         }
+    }
 
-        console.log(`Generated ${this.segments.length} segments (min ${targetLengthFt}ft, 20ft width)`);
+    getLargestPiece(feature) {
+        if (feature.geometry.type === 'Polygon') return feature;
+        return feature.geometry.coordinates
+            .map(coords => turf.polygon(coords))
+            .reduce((largest, piece) => turf.area(piece) > turf.area(largest) ? piece : largest);
     }
 
 
@@ -271,6 +1168,15 @@ class AnalysisEngine {
     async applyRequirements() {
         // Apply freeway selection (already done in generation)
 
+        // Every enabled gate checks every segment, so excluded segments list all the gates they fail
+        this.gatesApplied = [];
+        this.gatesSkipped = [];
+
+        // Apply Study Area gate
+        if (this.config.requirements.globalBuffer?.enabled) {
+            this.applyStudyAreaGate();
+        }
+
         // Apply Station-Proximity Gate
         if (this.config.requirements.stationProximity.enabled) {
             this.applyStationProximityGate();
@@ -286,19 +1192,23 @@ class AnalysisEngine {
             this.applyZoningAllowlist();
         }
 
-        // Apply Funding Alignment Gates
+        // Apply Funding Alignment Gates (against districts active through the horizon year only)
+        const horizonYear = this.getFundingHorizon().year;
+        const activeThrough = horizonYear ? ` active through ${horizonYear}` : '';
         if (this.config.requirements.ssa.enabled) {
             this.applyPolygonIntersectionFilter(
-                'special_service_areas',
+                this.getActiveDistrictsKey('special_service_areas'),
                 'Special Service Areas filter',
-                (segment, polygon) => this.segmentIntersectsPolygon(segment, polygon)
+                (segment, polygon) => this.segmentIntersectsPolygon(segment, polygon),
+                { gate: 'ssa', reason: `not in a Special Service Area${activeThrough}` }
             );
         }
         if (this.config.requirements.tif.enabled) {
             this.applyPolygonIntersectionFilter(
-                'tif_districts',
+                this.getActiveDistrictsKey('tif_districts'),
                 'Tax Increment Financing Districts filter',
-                (segment, polygon) => this.segmentIntersectsPolygon(segment, polygon)
+                (segment, polygon) => this.segmentIntersectsPolygon(segment, polygon),
+                { gate: 'tif', reason: `not in a TIF district${activeThrough}` }
             );
         }
 
@@ -307,269 +1217,1339 @@ class AnalysisEngine {
             this.applyBridgeConditionGate();
         }
 
+        // Apply Bridge Rating Gate
+        if (this.config.requirements.bridgeCondition?.enabled) {
+            this.applyBridgeRatingGate();
+        }
+
+        // Apply user-built attribute rules
+        if (this.config.requirements.customRules?.enabled) {
+            this.applyCustomRules();
+        }
+
         const eligibleCount = this.segments.filter(s => s.eligible).length;
         console.log(`${eligibleCount} segments remain after requirement filters`);
     }
 
-    async scoreSegments() {
-        const eligibleSegments = this.segments.filter(s => s.eligible);
-        let processed = 0;
-
-        for (const segment of eligibleSegments) {
-            // Score CTA Rail Stations proximity
-            if (this.config.features.ctaStations.weight > 0) {
-                segment.scores.ctaStations = this.scoreProximityToCTAStations(segment);
-            }
+    /**
+     * Search radius (miles) for a feature: the global radius for proximity features unless
+     * individual radii are enabled, otherwise the feature's own radius
+     */
+    getFeatureRadius(featureKey) {
+        if (PROXIMITY_FEATURES.includes(featureKey) && !this.config.individualRadii) {
+            return this.config.globalRadius || 1.0;
+        }
+        return this.config.features[featureKey].radius;
+    }
 
-            // Score Metra Stations proximity
-            if (this.config.features.metraStations.weight > 0) {
-                segment.scores.metraStations = this.scoreProximityToMetraStations(segment);
+    /**
+     * Radii this run actually used, reported with the results for the methodology view
+     */
+    getRadiiUsed() {
+        const features = {};
+        for (const featureKey of [...PROXIMITY_FEATURES, ...DENSITY_FEATURES]) {
+            if (this.config.features[featureKey]) {
+                features[featureKey] = this.getFeatureRadius(featureKey);
             }
+        }
 
-            // Score Amtrak Stations proximity
-            if (this.config.features.amtrakStations.weight > 0) {
-                segment.scores.amtrakStations = this.scoreProximityToAmtrakStations(segment);
-            }
+        return {
+            individualRadii: !!this.config.individualRadii,
+            globalRadius: this.config.globalRadius || 1.0,
+            features
+        };
+    }
 
-            // Score Parks proximity
-            if (this.config.features.parks.weight > 0) {
-                segment.scores.parks = this.scoreProximityToParks(segment);
-            }
+    /**
+     * Decay kernels this run used for proximity features, reported with the results for the methodology view
+     */
+    getDecaysUsed() {
+        const decays = {};
+        for (const featureKey of PROXIMITY_FEATURES) {
+            const feature = this.config.features[featureKey];
+            if (!feature) continue;
 
-            // Score Public Schools proximity
-            if (this.config.features.publicSchools.weight > 0) {
-                segment.scores.publicSchools = this.scoreProximityToPublicSchools(segment);
+            decays[featureKey] = { type: feature.decay || 'linear' };
+            if (decays[featureKey].type === 'logistic') {
+                decays[featureKey].midpoint = feature.decayMidpoint ?? this.getFeatureRadius(featureKey) / 2;
             }
+        }
+        return decays;
+    }
 
-            // Score Private Schools proximity
-            if (this.config.features.privateSchools.weight > 0) {
-                segment.scores.privateSchools = this.scoreProximityToPrivateSchools(segment);
-            }
+    /**
+     * Proximity features scored cumulatively this run, reported with the results for the methodology view
+     */
+    getCumulativeUsed() {
+        const cumulative = {};
+        for (const featureKey of PROXIMITY_FEATURES) {
+            const feature = this.config.features[featureKey];
+            if (feature?.mode !== 'cumulative') continue;
+
+            cumulative[featureKey] = {
+                weightField: feature.weightField || null,
+                cumulativeNormalization: feature.cumulativeNormalization || 'cap',
+                saturation: feature.saturation > 0 ? feature.saturation : 5
+            };
+        }
+        return cumulative;
+    }
 
-            // Score Colleges and Universities proximity
-            if (this.config.features.colleges.weight > 0) {
-                segment.scores.colleges = this.scoreProximityToColleges(segment);
-            }
+    /**
+     * Scorer for every prioritizable feature, keyed like state.features.
+     * Order matters: it is the order feature scores are accumulated into the composite.
+     * Scorers return null when the feature's data is missing, so it can be left out of the composite.
+     */
+    getFeatureScorers() {
+        return {
+            ctaStations: segment => this.scoreProximityToCTAStations(segment),
+            metraStations: segment => this.scoreProximityToMetraStations(segment),
+            amtrakStations: segment => this.scoreProximityToAmtrakStations(segment),
+            parks: segment => this.scoreProximityToParks(segment),
+            publicSchools: segment => this.scoreProximityToPublicSchools(segment),
+            privateSchools: segment => this.scoreProximityToPrivateSchools(segment),
+            colleges: segment => this.scoreProximityToColleges(segment),
+            hospitals: segment => this.scoreProximityToHospitals(segment),
+            landmarks: segment => this.scoreProximityToLandmarks(segment),
+            stadiums: segment => this.scoreProximityToStadiums(segment),
+            ssa: segment => this.scoreProximityToSSAs(segment),
+            tif: segment => this.scoreProximityToTIFs(segment),
+            medicalDistrict: segment => this.scoreProximityToMedicalDistrict(segment),
+            neighborhoodCenter: segment => this.scoreProximityToNeighborhoodCenter(segment),
+            neighborhoodReconnection: segment => this.scoreNeighborhoodReconnection(segment),
+            crossingGap: segment => this.scoreCrossingGap(segment),
+            detourReduction: segment => this.scoreDetourReduction(segment),
+            bridges: segment => this.scoreProximityToBridges(segment),
+            bridgeReuse: segment => this.scoreBridgeReuse(segment),
+            adi: segment => this.scoreADIOfBlockGroup(segment),
+            crashes: segment => this.scoreCrashFrequency(segment),
+            transitDensity: segment => this.scoreTransitStopDensity(segment),
+            bikeNetwork: segment => this.scoreBikeNetworkConnectivity(segment),
+            population: segment => this.scorePopulationDensity(segment),
+            householdSize: segment => this.scoreHouseholdSize(segment),
+            income: segment => this.scoreMedianIncome(segment),
+            permits: segment => this.scorePermitActivity(segment)
+        };
+    }
+
+    /**
+     * Raw metric for every density and block-group feature (null when the data is missing).
+     * Features normalized across segments collect these first and are scored in normalizeFeatureMetrics.
+     */
+    getFeatureMetrics() {
+        return {
+            transitDensity: segment => this.getTransitStopCount(segment),
+            bikeNetwork: segment => this.getBikeNetworkMiles(segment),
+            adi: segment => this.getADIValue(segment),
+            crashes: segment => this.getCrashCount(segment),
+            population: segment => this.getPopulationDensity(segment),
+            householdSize: segment => this.getHouseholdSize(segment),
+            income: segment => this.getMedianIncome(segment),
+            permits: segment => this.getPermitsPerYear(segment),
+            crossingGap: segment => this.getCrossingGapMiles(segment),
+            detourReduction: segment => this.getDetourMetric(segment)
+        };
+    }
+
+    /**
+     * How a density or block-group feature's raw metric becomes a 0-10 score:
+     * 'fixed' uses the scorer's hard-coded maximum, the rest compare against all eligible segments
+     */
+    getFeatureNormalization(featureKey) {
+        return this.config.features[featureKey]?.normalization || 'percentile';
+    }
 
-            // Score Hospitals proximity
-            if (this.config.features.hospitals.weight > 0) {
-                segment.scores.hospitals = this.scoreProximityToHospitals(segment);
+    /**
+     * Normalization this run used per density and block-group feature, reported with the results
+     */
+    getNormalizationUsed() {
+        const normalization = {};
+        for (const featureKey of Object.keys(this.getFeatureMetrics())) {
+            if (this.config.features[featureKey]) {
+                normalization[featureKey] = this.getFeatureNormalization(featureKey);
             }
+        }
+        return normalization;
+    }
 
-            // Score Landmarks proximity
-            if (this.config.features.landmarks.weight > 0) {
-                segment.scores.landmarks = this.scoreProximityToLandmarks(segment);
+    async scoreSegments() {
+        const eligibleSegments = this.segments.filter(s => s.eligible);
+        const featureScorers = this.getFeatureScorers();
+        const featureMetrics = this.getFeatureMetrics();
+        const normalizedFeatures = Object.keys(featureMetrics)
+            .filter(featureKey => this.getFeatureNormalization(featureKey) !== 'fixed');
+        let processed = 0;
+
+        for (const segment of eligibleSegments) {
+            // Score every feature, including 0-weighted ones, so results can be re-weighted
+            // on the main thread without re-running the analysis
+            for (const [featureKey, scorer] of Object.entries(featureScorers)) {
+                segment.scores[featureKey] = normalizedFeatures.includes(featureKey)
+                    ? featureMetrics[featureKey](segment) // raw metric, scored once every segment is in
+                    : scorer(segment);
             }
 
-            // Score Stadiums proximity
-            if (this.config.features.stadiums.weight > 0) {
-                segment.scores.stadiums = this.scoreProximityToStadiums(segment);
+            processed++;
+            const progress = Math.round((processed / eligibleSegments.length) * 100);
+
+            // Send animation data every segment (no computation delay - purely visual)
+            this.postProgress(progress, `Analyzing segment ${processed}/${eligibleSegments.length}`, {
+                currentSegment: segment.id,
+                segmentCenter: segment.properties.center,
+                randomFeatures: this.getRandomFeatureCoordinates(2, 3)
+            });
+        }
+
+        this.normalizeFeatureMetrics(eligibleSegments, normalizedFeatures);
+        this.normalizeCumulativeScores(eligibleSegments);
+    }
+
+    /**
+     * Replace raw metrics with 0-10 scores relative to the other eligible segments, so scores adapt
+     * to the segment length, corridors and datasets in this run. Missing data stays null.
+     * @param {Array} segments - Eligible segments holding raw metrics in scores[featureKey]
+     * @param {Array} featureKeys - Features to normalize
+     */
+    normalizeFeatureMetrics(segments, featureKeys) {
+        for (const featureKey of featureKeys) {
+            const withData = segments.filter(segment => segment.scores[featureKey] !== null);
+            const normalized = this.normalizeValues(
+                withData.map(segment => segment.scores[featureKey]),
+                this.getFeatureNormalization(featureKey)
+            );
+            const direction = this.config.features[featureKey].direction || 'higher';
+
+            withData.forEach((segment, i) => {
+                segment.scores[featureKey] = (direction === 'lower' ? 1 - normalized[i] : normalized[i]) * 10;
+            });
+        }
+    }
+
+    /**
+     * Map raw values onto 0-1 relative to each other
+     *   minmax     - (v - min) / (max - min)
+     *   percentile - same, between the 5th and 95th percentiles, with outliers clipped
+     *   zscore     - standard score, with -2 to +2 standard deviations mapped onto 0-1
+     *   rank       - percentile rank (ties share their average rank)
+     * When every value is the same they all get 0.5.
+     * @param {Array<number>} values - Raw values
+     * @param {string} method - 'minmax', 'percentile', 'zscore' or 'rank'
+     * @returns {Array<number>} Normalized values in the same order
+     */
+    normalizeValues(values, method) {
+        if (values.length === 0) return [];
+        const clamp = value => Math.max(0, Math.min(1, value));
+        const sorted = [...values].sort((a, b) => a - b);
+
+        switch (method) {
+            case 'zscore': {
+                const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+                const sd = Math.sqrt(values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length);
+                if (sd === 0) return values.map(() => 0.5);
+                return values.map(value => clamp(((value - mean) / sd + 2) / 4));
+            }
+
+            case 'rank': {
+                if (sorted.length === 1) return [0.5];
+                // Average position of each distinct value in the sorted list
+                const ranks = new Map();
+                sorted.forEach((value, i) => {
+                    const [sum, count] = ranks.get(value) || [0, 0];
+                    ranks.set(value, [sum + i, count + 1]);
+                });
+                return values.map(value => {
+                    const [sum, count] = ranks.get(value);
+                    return (sum / count) / (sorted.length - 1);
+                });
+            }
+
+            default: {
+                const quantile = q => {
+                    const position = (sorted.length - 1) * q;
+                    const lower = Math.floor(position);
+                    const upper = Math.ceil(position);
+                    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+                };
+                const min = method === 'minmax' ? sorted[0] : quantile(0.05);
+                const max = method === 'minmax' ? sorted[sorted.length - 1] : quantile(0.95);
+                if (max <= min) return values.map(() => 0.5);
+                return values.map(value => clamp((value - min) / (max - min)));
             }
+        }
+    }
+
+    scoreProximityToCTAStations(segment) {
+        const radiusMiles = this.getFeatureRadius('ctaStations');
+        return this.calculateProximityToPoints(segment, 'cta_rail_stations', radiusMiles, 'ctaStations');
+    }
+
+    scoreProximityToMetraStations(segment) {
+        const radiusMiles = this.getFeatureRadius('metraStations');
+        return this.calculateProximityToPoints(segment, 'metra_stations', radiusMiles, 'metraStations');
+    }
+
+    scoreProximityToAmtrakStations(segment) {
+        const radiusMiles = this.getFeatureRadius('amtrakStations');
+        return this.calculateProximityToPoints(segment, 'amtrak_stations', radiusMiles, 'amtrakStations');
+    }
+
+    scoreProximityToParks(segment) {
+        const radiusMiles = this.getFeatureRadius('parks');
+        return this.calculateProximityToPolygons(segment, 'parks', radiusMiles, 'parks');
+    }
+
+    scoreProximityToPublicSchools(segment) {
+        const radiusMiles = this.getFeatureRadius('publicSchools');
+        return this.calculateProximityToPoints(segment, 'public_schools', radiusMiles, 'publicSchools');
+    }
+
+    scoreProximityToPrivateSchools(segment) {
+        const radiusMiles = this.getFeatureRadius('privateSchools');
+        return this.calculateProximityToPoints(segment, 'private_schools', radiusMiles, 'privateSchools');
+    }
 
-            // Score Special Service Areas proximity
-            if (this.config.features.ssa.weight > 0) {
-                segment.scores.ssa = this.scoreProximityToSSAs(segment);
+    scoreProximityToColleges(segment) {
+        const radiusMiles = this.getFeatureRadius('colleges');
+        return this.calculateProximityToPoints(segment, 'colleges_universities', radiusMiles, 'colleges');
+    }
+
+    scoreProximityToHospitals(segment) {
+        const radiusMiles = this.getFeatureRadius('hospitals');
+        return this.calculateProximityToPoints(segment, 'hospitals', radiusMiles, 'hospitals');
+    }
+
+    scoreProximityToLandmarks(segment) {
+        const radiusMiles = this.getFeatureRadius('landmarks');
+        return this.calculateProximityToPolygons(segment, 'landmarks', radiusMiles, 'landmarks');
+    }
+
+    scoreProximityToStadiums(segment) {
+        const radiusMiles = this.getFeatureRadius('stadiums');
+        return this.calculateProximityToPoints(segment, 'stadiums', radiusMiles, 'stadiums');
+    }
+
+    scoreProximityToSSAs(segment) {
+        return this.scoreProximityToFundingDistricts(segment, 'special_service_areas', 'ssa');
+    }
+
+    scoreProximityToTIFs(segment) {
+        return this.scoreProximityToFundingDistricts(segment, 'tif_districts', 'tif');
+    }
+
+    /**
+     * Proximity to active funding districts. With lifetime weighting on, each district's decayed score is
+     * scaled by its remaining lifetime, so a nearby district about to expire counts less than one that
+     * will still be collecting increment for years.
+     */
+    scoreProximityToFundingDistricts(segment, fundingDatasetKey, featureKey) {
+        const datasetKey = this.getActiveDistrictsKey(fundingDatasetKey);
+        const radiusMiles = this.getFeatureRadius(featureKey);
+        if (!this.getFundingHorizon().weightByLifetime || !this.getSpatialIndex(datasetKey)) {
+            return this.calculateProximityToPolygons(segment, datasetKey, radiusMiles, featureKey);
+        }
+
+        const featureWeight = district => this.getDistrictLifetimeWeight(district);
+        if (this.config.features[featureKey]?.mode === 'cumulative') {
+            return this.calculateCumulativeProximity(segment, datasetKey, radiusMiles, featureKey, featureWeight);
+        }
+
+        let best = 0;
+        for (const district of this.getFeaturesInRadius(segment, datasetKey, radiusMiles)) {
+            const distance = this.getPolygonDistanceToSegment(segment, district, datasetKey);
+            best = Math.max(best, this.applyDistanceDecay(distance, radiusMiles, featureKey) * featureWeight(district));
+        }
+        return best * 10; // Scale to 0-10
+    }
+
+    scoreProximityToMedicalDistrict(segment) {
+        const radiusMiles = this.getFeatureRadius('medicalDistrict');
+        return this.calculateProximityToPolygons(segment, 'medical_district', radiusMiles, 'medicalDistrict');
+    }
+
+    scoreProximityToNeighborhoodCenter(segment) {
+        const radiusMiles = this.getFeatureRadius('neighborhoodCenter');
+        // For neighborhood centers, we calculate distance to polygon centroids
+        if (!this.datasets.has('neighborhoods')) return null; // No data available
+
+        const dataset = this.datasets.get('neighborhoods');
+        const segmentCenter = turf.point(segment.properties.center);
+        let nearestDistance = Infinity;
+
+        for (const feature of dataset.features) {
+            try {
+                const centroid = this.getCachedGeometry(feature, 'centroid', () => turf.centroid(feature));
+                const distance = this.applyDistanceMode(segment, centroid,
+                    turf.distance(segmentCenter, centroid, { units: 'miles' }));
+                if (distance < nearestDistance) {
+                    nearestDistance = distance;
+                }
+            } catch (error) {
+                // Skip invalid polygons
+                continue;
             }
+        }
 
-            // Score TIF Districts proximity
-            if (this.config.features.tif.weight > 0) {
-                segment.scores.tif = this.scoreProximityToTIFs(segment);
+        if (nearestDistance === Infinity) return 0;
+
+        return this.applyDistanceDecay(nearestDistance, radiusMiles, 'neighborhoodCenter') * 10; // Scale to 0-10
+    }
+
+    /**
+     * Neighborhood reconnection: favor segments where the freeway cuts a neighborhood most evenly.
+     * A neighborhood split 50/50 scores 10; one with only a sliver across the freeway scores near 0.
+     * @returns {number|null} Score 0-10 (null if the neighborhoods dataset is missing)
+     */
+    scoreNeighborhoodReconnection(segment) {
+        const splits = this.getNeighborhoodSplits(segment);
+        if (splits === null) return null; // Dataset not loaded
+
+        return splits.length > 0 ? splits[0].balance * 10 : 0;
+    }
+
+    /**
+     * Neighborhoods on both sides of the freeway at this segment, with the area of each on either side.
+     * Sides are half-planes along the segment's centerline, so the area split follows the local freeway alignment.
+     * @returns {Array|null} [{ name, areas: { [side]: sqMi }, balance }], most evenly split first
+     *   (balance = smaller side / half the total, 1 for an even split); null if neighborhoods aren't loaded
+     */
+    getNeighborhoodSplits(segment) {
+        const index = this.getSpatialIndex('neighborhoods');
+        if (!index) return null;
+
+        return this.getCachedGeometry(segment.geometry, 'neighborhoodSplits', () => {
+            const probes = this.getCatchmentHalves(segment, NEIGHBORHOOD_SPLIT_PROBE_MILES);
+            const extents = this.getCatchmentHalves(segment, NEIGHBORHOOD_SPLIT_EXTENT_MILES);
+            const splits = [];
+
+            const [minX1, minY1, maxX1, maxY1] = turf.bbox(probes[0].polygon);
+            const [minX2, minY2, maxX2, maxY2] = turf.bbox(probes[1].polygon);
+            const probeBbox = [Math.min(minX1, minX2), Math.min(minY1, minY2), Math.max(maxX1, maxX2), Math.max(maxY1, maxY2)];
+
+            for (const { feature: neighborhood } of index.query(probeBbox)) {
+                try {
+                    if (!probes.every(probe => turf.booleanIntersects(neighborhood, probe.polygon))) continue;
+
+                    const areas = {};
+                    for (const extent of extents) {
+                        const overlap = turf.intersect(neighborhood, extent.polygon);
+                        areas[extent.side] = overlap ? turf.area(overlap) / SQ_METERS_PER_SQ_MILE : 0;
+                    }
+
+                    const sideAreas = Object.values(areas);
+                    const total = sideAreas[0] + sideAreas[1];
+                    if (total <= 0 || Math.min(...sideAreas) / total < NEIGHBORHOOD_SPLIT_MIN_SHARE) continue;
+
+                    splits.push({
+                        name: this.getNeighborhoodName(neighborhood) || 'Unnamed neighborhood',
+                        areas,
+                        balance: Math.min(...sideAreas) / (total / 2)
+                    });
+                } catch (error) {
+                    // Skip invalid polygons
+                    continue;
+                }
             }
 
-            // Score Medical District proximity
-            if (this.config.features.medicalDistrict.weight > 0) {
-                segment.scores.medicalDistrict = this.scoreProximityToMedicalDistrict(segment);
+            return splits.sort((a, b) => b.balance - a.balance);
+        });
+    }
+
+    /**
+     * Neighborhoods a cap at the segment would serve: those reaching the freeway on either side
+     * @returns {Array<string>|null} Neighborhood names (null if the neighborhoods dataset is missing)
+     */
+    getSegmentNeighborhoods(segment) {
+        const index = this.getSpatialIndex('neighborhoods');
+        if (!index) return null;
+
+        return this.getCachedGeometry(segment.geometry, 'neighborhoods', () => {
+            const names = new Set();
+            for (const probe of this.getCatchmentHalves(segment, NEIGHBORHOOD_SPLIT_PROBE_MILES)) {
+                for (const { feature: neighborhood } of index.query(turf.bbox(probe.polygon))) {
+                    try {
+                        const name = this.getNeighborhoodName(neighborhood);
+                        if (name && turf.booleanIntersects(neighborhood, probe.polygon)) names.add(name);
+                    } catch (error) {
+                        // Skip invalid polygons
+                        continue;
+                    }
+                }
             }
+            return [...names].sort();
+        });
+    }
+
+    getNeighborhoodName(neighborhood) {
+        const properties = neighborhood.properties || {};
+        return properties.pri_neigh ||
+               properties.neighborhood ||
+               properties.name ||
+               properties.COMMUNITY ||
+               properties.PRI_NEIGH ||
+               '';
+    }
+
+    /**
+     * Crossing gap: how far someone at the segment walks along the freeway to the nearest existing crossing.
+     * Segments in the middle of long uninterrupted barrier stretches score highest.
+     * @returns {number|null} Score 0-10 (null if the bridges dataset is missing)
+     */
+    scoreCrossingGap(segment) {
+        const gapMiles = this.getCrossingGapMiles(segment);
+        if (gapMiles === null) return null; // Dataset not loaded
+
+        const normalizedGap = Math.min(1, gapMiles / CROSSING_GAP_FULL_MILES);
+        const direction = this.config.features.crossingGap?.direction || 'higher';
+        return (direction === 'higher' ? normalizedGap : 1 - normalizedGap) * 10;
+    }
+
+    /**
+     * @returns {number|null} Miles along the corridor to the nearest crossing in either direction
+     */
+    getCrossingGapMiles(segment) {
+        const gaps = this.getCrossingGaps(segment);
+        if (!gaps) return null;
+
+        return Math.min(...Object.values(gaps).map(gap => gap.distanceFt)) / 5280;
+    }
+
+    /**
+     * Distance along the corridor from the segment center to the nearest existing crossing ahead and behind,
+     * named by compass direction (e.g. north/south for a north-south freeway). Where there is no crossing
+     * before the end of the route, the distance runs to the route end (routeEnd: true).
+     * @returns {Object|null} { [direction]: { distanceFt, routeEnd } }, null if bridges aren't loaded
+     */
+    getCrossingGaps(segment) {
+        if (!this.getSpatialIndex('bridges') || !segment.route) return null;
+
+        return this.getCachedGeometry(segment.geometry, 'crossingGaps', () => {
+            const { line, startKm, endKm } = segment.route;
+            const { crossings, lengthKm } = this.getRouteCrossings(line);
+            const centerKm = (startKm + endKm) / 2;
+
+            const behind = crossings.filter(location => location <= centerKm);
+            const ahead = crossings.filter(location => location > centerKm);
+            const behindKm = behind.length > 0 ? centerKm - behind[behind.length - 1] : centerKm;
+            const aheadKm = ahead.length > 0 ? ahead[0] - centerKm : lengthKm - centerKm;
+
+            // Route direction at the segment: start of the segment towards its end
+            const options = { units: 'kilometers' };
+            const bearing = turf.bearing(turf.along(line, startKm, options), turf.along(line, endKm, options));
+
+            return {
+                [this.getCompassDirection(bearing)]: { distanceFt: aheadKm * 3280.84, routeEnd: ahead.length === 0 },
+                [this.getCompassDirection(bearing + 180)]: { distanceFt: behindKm * 3280.84, routeEnd: behind.length === 0 }
+            };
+        });
+    }
 
-            // Score Neighborhood Center proximity
-            if (this.config.features.neighborhoodCenter.weight > 0) {
-                segment.scores.neighborhoodCenter = this.scoreProximityToNeighborhoodCenter(segment);
+    /**
+     * Existing crossings along a stitched freeway route: bridges within CROSSING_SNAP_MILES of the centerline
+     * @returns {Object} { crossings: sorted km along the route, lengthKm }
+     */
+    getRouteCrossings(route) {
+        return this.getCachedGeometry(route, 'crossings', () => {
+            const snapKm = CROSSING_SNAP_MILES * 1.60934;
+            const [minX, minY, maxX, maxY] = turf.bbox(route);
+            const padLat = CROSSING_SNAP_MILES / MILES_PER_DEGREE;
+            const padLon = padLat / Math.cos(((minY + maxY) / 2) * Math.PI / 180);
+
+            const crossings = [];
+            for (const { feature: bridge } of this.getSpatialIndex('bridges').query([minX - padLon, minY - padLat, maxX + padLon, maxY + padLat])) {
+                try {
+                    const nearest = turf.nearestPointOnLine(route, bridge, { units: 'kilometers' });
+                    if (nearest.properties.dist <= snapKm) {
+                        crossings.push(nearest.properties.location);
+                    }
+                } catch (error) {
+                    // Skip invalid geometries
+                    continue;
+                }
             }
 
-            // Score Bridges proximity
-            if (this.config.features.bridges.weight > 0) {
-                segment.scores.bridges = this.scoreProximityToBridges(segment);
+            return {
+                crossings: crossings.sort((a, b) => a - b),
+                lengthKm: turf.length(route, { units: 'kilometers' })
+            };
+        });
+    }
+
+    /**
+     * Cross streets bounding a segment: the last named street crossing the route at or before the segment's
+     * start station and the first at or after its end station. Segments with a street crossing them are
+     * labelled at that street instead.
+     * @returns {Object|null} { from, to, label } (from or to is null past the last crossing), null if street
+     *   centerlines aren't loaded or no named street crosses the route
+     */
+    getCrossStreets(segment) {
+        if (!this.getSpatialIndex(CROSS_STREET_DATASET) || !segment.route) return null;
+
+        const { line, startKm, endKm } = segment.route;
+        const crossings = this.getRouteCrossStreets(line);
+        if (crossings.length === 0) return null;
+
+        const toleranceKm = ROUTE_TOLERANCE_FT * 0.0003048;
+        const before = crossings.filter(crossing => crossing.km <= startKm + toleranceKm);
+        const after = crossings.filter(crossing => crossing.km >= endKm - toleranceKm);
+        const from = before.length > 0 ? before[before.length - 1].name : null;
+        const to = after.length > 0 ? after[0].name : null;
+
+        const centerKm = (startKm + endKm) / 2;
+        const inside = crossings
+            .filter(crossing => crossing.km > startKm + toleranceKm && crossing.km < endKm - toleranceKm)
+            .sort((a, b) => Math.abs(a.km - centerKm) - Math.abs(b.km - centerKm));
+
+        // A route that doubles back (both carriageways stitched together) can meet the same street on each side
+        const corridor = CORRIDOR_NAMES[segment.properties.freeway] || segment.properties.freeway;
+        let label;
+        if (inside.length > 0) {
+            label = `${corridor} at ${inside[0].name}`;
+        } else if (from && to && from !== to) {
+            label = `${corridor} between ${from} and ${to}`;
+        } else {
+            label = `${corridor} near ${from || to}`;
+        }
+
+        return { from, to, label };
+    }
+
+    /**
+     * Named streets crossing a stitched freeway route, found by intersecting each route edge with the street
+     * centerlines around it. Crossings of the same street within CROSS_STREET_MERGE_FT of the previous one
+     * (split centerlines, divided roads) are dropped.
+     * @returns {Array} [{ km, name }] sorted by km along the route
+     */
+    getRouteCrossStreets(route) {
+        return this.getCachedGeometry(route, 'crossStreets', () => {
+            const index = this.getSpatialIndex(CROSS_STREET_DATASET);
+            const coords = route.geometry.coordinates;
+            const crossings = [];
+            let routeKm = 0;
+
+            for (let i = 1; i < coords.length; i++) {
+                const a = coords[i - 1];
+                const b = coords[i];
+                const edgeKm = turf.distance(a, b, { units: 'kilometers' });
+                const bbox = [Math.min(a[0], b[0]), Math.min(a[1], b[1]), Math.max(a[0], b[0]), Math.max(a[1], b[1])];
+
+                for (const { feature: street } of index.query(bbox)) {
+                    const name = this.getCrossStreetName(street.properties || {});
+                    if (!name) continue;
+
+                    const lines = street.geometry.type === 'MultiLineString' ? street.geometry.coordinates : [street.geometry.coordinates];
+                    for (const line of lines) {
+                        for (let j = 1; j < line.length; j++) {
+                            const fraction = this.getEdgeIntersection(a, b, line[j - 1], line[j]);
+                            if (fraction !== null) crossings.push({ km: routeKm + fraction * edgeKm, name });
+                        }
+                    }
+                }
+
+                routeKm += edgeKm;
             }
 
-            // Score ADI of Block Group
-            if (this.config.features.adi.weight > 0) {
-                segment.scores.adi = this.scoreADIOfBlockGroup(segment);
+            const mergeKm = CROSS_STREET_MERGE_FT * 0.0003048;
+            const lastKmByName = new Map();
+            return crossings
+                .sort((a, b) => a.km - b.km)
+                .filter(crossing => {
+                    const lastKm = lastKmByName.get(crossing.name);
+                    lastKmByName.set(crossing.name, crossing.km);
+                    return lastKm === undefined || crossing.km - lastKm >= mergeKm;
+                });
+        });
+    }
+
+    /**
+     * Display name of a street centerline, e.g. 'Damen Ave', or null for unnamed streets and the freeways
+     * themselves (their own lanes and ramps)
+     */
+    getCrossStreetName(properties) {
+        const name = properties.STREET_NAM || properties.street_nam || properties.name || '';
+        if (!name || this.isFreewayStreet(properties)) return null;
+
+        const type = properties.STREET_TYP || properties.street_typ || '';
+        const titleCase = (text) => text.toLowerCase().replace(/\b[a-z]/g, letter => letter.toUpperCase());
+        return titleCase(`${name} ${type}`.trim());
+    }
+
+    /**
+     * Whether a street centerline is part of a freeway: expressway lanes or ramps by class, or named as one
+     */
+    isFreewayStreet(properties) {
+        if (FREEWAY_STREET_CLASSES.includes(String(properties.CLASS || properties.class || ''))) return true;
+
+        const name = String(properties.STREET_NAM || properties.street_nam || properties.name || '').toUpperCase();
+        return this.getFreewayName(name) !== 'Unknown' || /\b(RAMP|EXPY|EXPRESSWAY)\b/.test(name);
+    }
+
+    /**
+     * Where edge a-b crosses edge c-d, treating lon/lat as planar (edges are short)
+     * @returns {number|null} Fraction along a-b, or null if they don't cross
+     */
+    getEdgeIntersection(a, b, c, d) {
+        const rx = b[0] - a[0];
+        const ry = b[1] - a[1];
+        const sx = d[0] - c[0];
+        const sy = d[1] - c[1];
+        const denominator = rx * sy - ry * sx;
+        if (denominator === 0) return null; // parallel
+
+        const t = ((c[0] - a[0]) * sy - (c[1] - a[1]) * sx) / denominator;
+        const u = ((c[0] - a[0]) * ry - (c[1] - a[1]) * rx) / denominator;
+        return t >= 0 && t <= 1 && u >= 0 && u <= 1 ? t : null;
+    }
+
+    /**
+     * Detour reduction: what a new crossing at the cap would do for pedestrians, measured on the walk network.
+     * The feature's metric picks what is scored: 'detour' (walking distance saved crossing the freeway here),
+     * 'population' or 'destinations' (newly within a 10-minute walk).
+     * @returns {number|null} Score 0-10 (null without a walk network, or when the detour saved is unknown)
+     */
+    scoreDetourReduction(segment) {
+        const value = this.getDetourMetric(segment);
+        if (value === null) return null; // No walk network, or no route across today within the search distance
+
+        const metric = this.config.features.detourReduction?.metric || 'detour';
+        const normalized = Math.min(1, value / DETOUR_FULL[metric]);
+        const direction = this.config.features.detourReduction?.direction || 'higher';
+        return (direction === 'higher' ? normalized : 1 - normalized) * 10;
+    }
+
+    /**
+     * @returns {number|null} Raw detour metric: miles saved, residents or destinations newly within the walkshed
+     */
+    getDetourMetric(segment) {
+        const detour = this.getDetourAnalysis(segment);
+        if (!detour) return null;
+
+        switch (this.config.features.detourReduction?.metric) {
+            case 'population': return detour.newPopulation ?? null;
+            case 'destinations': return detour.newDestinations;
+            default: return detour.savedMiles;
+        }
+    }
+
+    /**
+     * Walking distance across the freeway between the nearest network nodes on either side of the segment,
+     * today and with a crossing at the cap, plus the walkshed the cap would add.
+     * When there is no route today within the search distance (beyondSearch), the distance and the detour
+     * saved are unknown (null) rather than assumed.
+     * @returns {Object|null} { connected, existingMiles, capMiles, savedMiles, beyondSearch, newDestinations,
+     *   newPopulation, walkshed }, null without a walk network; connected is false when a side has no
+     *   street within CAP_LANDING_MILES, in which case nothing is saved
+     */
+    getDetourAnalysis(segment) {
+        if (!this.walkGraph) return null;
+
+        return this.getCachedGeometry(segment.geometry, 'detour', () => {
+            const graph = this.walkGraph;
+            const landings = this.getCapLandings(segment);
+
+            if (!landings) {
+                return { connected: false, existingMiles: null, capMiles: null, savedMiles: 0, beyondSearch: false,
+                    newDestinations: 0, newPopulation: 0, walkshed: null };
             }
 
-            // Score Crash Frequency
-            if (this.config.features.crashes.weight > 0) {
-                segment.scores.crashes = this.scoreCrashFrequency(segment);
+            const [a, b] = landings.map(landing => landing.node);
+            const fromA = graph.shortestPaths(a, DETOUR_SEARCH_MILES);
+            const fromB = graph.shortestPaths(b, DETOUR_SEARCH_MILES);
+
+            const capMiles = graph.distanceMiles(graph.coords[a], graph.coords[b]);
+            const beyondSearch = !fromA.has(b);
+            const existingMiles = beyondSearch ? null : fromA.get(b);
+            const savedMiles = beyondSearch ? null : Math.max(0, existingMiles - capMiles);
+
+            // Nodes that only come within the walkshed of one landing by crossing the cap from the other
+            const newlyReachable = [];
+            for (const [from, to] of [[fromA, fromB], [fromB, fromA]]) {
+                for (const [node, distance] of to) {
+                    if (distance + capMiles <= WALKSHED_MILES && !((from.get(node) ?? Infinity) <= WALKSHED_MILES)) {
+                        newlyReachable.push(node);
+                    }
+                }
             }
 
-            // Score Transit Stop Density (Bus)
-            if (this.config.features.transitDensity.weight > 0) {
-                segment.scores.transitDensity = this.scoreTransitStopDensity(segment);
+            const walkshed = this.getWalkshedPolygon(newlyReachable);
+            return {
+                connected: true,
+                existingMiles,
+                capMiles,
+                savedMiles,
+                beyondSearch,
+                newDestinations: this.countDestinationsAtNodes(new Set(newlyReachable)),
+                newPopulation: walkshed ? this.estimatePopulationInPolygon(walkshed) : 0,
+                walkshed
+            };
+        });
+    }
+
+    /**
+     * Where a cap would meet the walk network: the nearest node on each side of the freeway
+     * @returns {Array|null} [{ node, distance }] for the two sides (distance from the segment center),
+     *   null if either side has no network node within reach
+     */
+    getCapLandings(segment) {
+        return this.getCachedGeometry(segment.geometry, 'capLandings', () => {
+            // Landings are off the deck itself, so never on the freeway being capped
+            const center = segment.properties.center;
+            const landings = this.getCatchmentHalves(segment, CAP_LANDING_MILES).map(half =>
+                this.walkGraph.nearestNode(center, CAP_LANDING_MILES * 2, coord =>
+                    turf.booleanPointInPolygon(coord, half.polygon) && !turf.booleanPointInPolygon(coord, segment.geometry)));
+
+            return landings.some(landing => !landing) ? null : landings;
+        });
+    }
+
+    /**
+     * Walkshed overlay: convex hull of the newly reachable nodes
+     * @returns {Object|null} Polygon feature, null with fewer than 3 nodes
+     */
+    getWalkshedPolygon(nodes) {
+        if (nodes.length < 3) return null;
+
+        try {
+            const hull = turf.convex(turf.featureCollection(nodes.map(node => turf.point(this.walkGraph.coords[node]))));
+            return hull || null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Destinations whose nearest walk network node (within CAP_LANDING_MILES) is one of the given nodes
+     */
+    countDestinationsAtNodes(nodes) {
+        if (nodes.size === 0) return 0;
+
+        const coords = [...nodes].map(node => this.walkGraph.coords[node]);
+        const bbox = [
+            Math.min(...coords.map(coord => coord[0])), Math.min(...coords.map(coord => coord[1])),
+            Math.max(...coords.map(coord => coord[0])), Math.max(...coords.map(coord => coord[1]))
+        ];
+
+        let count = 0;
+        for (const datasetKey of DETOUR_DESTINATIONS) {
+            const index = this.getSpatialIndex(datasetKey);
+            if (!index) continue;
+
+            for (const { feature } of index.query(bbox)) {
+                try {
+                    const point = feature.geometry.type === 'Point' ? feature.geometry.coordinates : turf.centroid(feature).geometry.coordinates;
+                    const nearest = this.walkGraph.nearestNode(point, CAP_LANDING_MILES);
+                    if (nearest && nodes.has(nearest.node)) count++;
+                } catch (error) {
+                    // Skip invalid geometries
+                    continue;
+                }
             }
+        }
+        return count;
+    }
+
+    /**
+     * Residents in a polygon, assuming each block group's population is spread evenly over its area
+     * @returns {number|null} null if block groups aren't loaded
+     */
+    estimatePopulationInPolygon(polygon) {
+        const index = this.getSpatialIndex('block_groups_with_census');
+        if (!index) return null;
 
-            // Score Bike Network Connectivity
-            if (this.config.features.bikeNetwork.weight > 0) {
-                segment.scores.bikeNetwork = this.scoreBikeNetworkConnectivity(segment);
+        let population = 0;
+        for (const { feature: blockGroup } of index.query(turf.bbox(polygon))) {
+            try {
+                const overlap = turf.intersect(polygon, blockGroup);
+                const areaSqMi = this.getBlockGroupAreaSqMi(blockGroup);
+                const residents = this.getBlockGroupPopulation(blockGroup);
+                if (!overlap || !(areaSqMi > 0) || residents === null) continue;
+
+                population += residents * (turf.area(overlap) / SQ_METERS_PER_SQ_MILE) / areaSqMi;
+            } catch (error) {
+                // Skip invalid polygons
+                continue;
             }
+        }
+        return population;
+    }
 
+    scoreProximityToBridges(segment) {
+        const radiusMiles = this.getFeatureRadius('bridges');
+        return this.calculateProximityToPoints(segment, 'bridges', radiusMiles, 'bridges');
+    }
 
-            processed++;
-            const progress = Math.round((processed / eligibleSegments.length) * 100);
+    /**
+     * Bridge reuse: favor segments near bridges in poor condition, which are due for replacement anyway.
+     * Takes the best decayed distance x replacement need over every bridge within the radius.
+     * @returns {number|null} Score 0-10 (null if the bridges dataset is missing)
+     */
+    scoreBridgeReuse(segment) {
+        if (!this.getSpatialIndex('bridges')) return null; // Dataset not loaded
 
-            // Send animation data every segment (no computation delay - purely visual)
-            this.postProgress(progress, `Analyzing segment ${processed}/${eligibleSegments.length}`, {
-                currentSegment: segment.id,
-                segmentCenter: segment.properties.center,
-                randomFeatures: this.getRandomFeatureCoordinates(2, 3)
-            });
+        const radiusMiles = this.getFeatureRadius('bridgeReuse');
+        let best = 0;
+
+        for (const bridge of this.getFeaturesInRadius(segment, 'bridges', radiusMiles)) {
+            const need = this.getBridgeReplacementNeed(bridge);
+            if (need <= 0) continue;
+
+            const distance = this.getPointDistanceToSegment(segment, bridge, 'bridges');
+            best = Math.max(best, this.applyDistanceDecay(distance, radiusMiles, 'bridgeReuse') * need);
+        }
+
+        return best * 10; // Scale to 0-10
+    }
+
+    /**
+     * Applicable NBI component ratings of a bridge, keyed by component name (0 / missing = not applicable)
+     */
+    getBridgeComponentRatings(bridge) {
+        const ratings = {};
+        for (const [field, component] of Object.entries(BRIDGE_COMPONENTS)) {
+            const rating = parseInt(bridge.properties[field]);
+            if (rating > 0) ratings[component] = rating;
         }
+        return ratings;
+    }
+
+    /**
+     * How due for replacement a bridge is, from its lowest condition rating:
+     * NBI 7+ (good) = 0, 6 = 0.33, 5 = 0.67, 4 or below (poor) = 1
+     * @returns {number} 0-1
+     */
+    getBridgeReplacementNeed(bridge) {
+        const overall = parseInt(bridge.properties.rating);
+        const ratings = Object.values(this.getBridgeComponentRatings(bridge));
+        const lowest = overall > 0 ? overall : Math.min(...ratings);
+        if (!isFinite(lowest)) return 0; // No condition data
+
+        return Math.max(0, Math.min(1, (7 - lowest) / 3));
+    }
+
+    getADIValue(segment) {
+        return this.getBlockGroupMetric(segment, 'adi');
+    }
+
+    scoreADIOfBlockGroup(segment) {
+        const adiValue = this.getADIValue(segment);
+        if (adiValue === null) return null; // No data available
+
+        // ADI values typically range from 1-100, where higher = more disadvantaged
+        // Score based on direction preference
+        const direction = this.config.features.adi.direction || 'higher';
+
+        if (direction === 'higher') {
+            // Higher ADI (more disadvantaged) is better for equity targeting
+            return Math.min(10, (adiValue / 100) * 10);
+        } else {
+            // Lower ADI (less disadvantaged) is better for development
+            return Math.max(0, 10 - (adiValue / 100) * 10);
+        }
+    }
+
+    getCrashCount(segment) {
+        return this.getBlockGroupMetric(segment, 'crashes');
+    }
+
+    scoreCrashFrequency(segment) {
+        const crashCount = this.getCrashCount(segment);
+        if (crashCount === null) return null; // No data available
+
+        // Normalize crash count to 0-10 scale using 2200 crashes for better distribution
+        const maxCrashes = 2200; // Areas with 2200+ crashes get full score
+        const normalizedCrashes = Math.min(1, crashCount / maxCrashes);
+
+        // Score based on direction preference
+        const direction = this.config.features.crashes.direction || 'lower';
+
+        if (direction === 'lower') {
+            // Lower crash frequency is better (safer area)
+            return Math.max(0, 10 - normalizedCrashes * 10);
+        } else {
+            // Higher crash frequency is better (more improvement potential)
+            return normalizedCrashes * 10;
+        }
+    }
+
+    getPopulationDensity(segment) {
+        return this.getBlockGroupMetric(segment, 'population');
+    }
+
+    scorePopulationDensity(segment) {
+        const density = this.getPopulationDensity(segment);
+        if (density === null) {
+            return null; // No data available
+        }
+
+        // Normalize against 30,000 residents per square mile (dense lakefront/North Side block groups)
+        const maxDensity = 30000;
+        const normalizedDensity = Math.min(1, density / maxDensity);
+
+        const direction = this.config.features.population.direction || 'higher';
+        if (direction === 'higher') {
+            // More residents benefit from the cap
+            return normalizedDensity * 10;
+        } else {
+            return Math.max(0, 10 - normalizedDensity * 10);
+        }
+    }
+
+    getHouseholdSize(segment) {
+        return this.getBlockGroupMetric(segment, 'householdSize');
+    }
+
+    scoreHouseholdSize(segment) {
+        const householdSize = this.getHouseholdSize(segment);
+        if (householdSize === null) {
+            return null; // No data available
+        }
+
+        // Chicago block groups range from ~1 (single-person households) to ~4.5 persons
+        const minSize = 1;
+        const maxSize = 4.5;
+        const normalizedSize = Math.max(0, Math.min(1, (householdSize - minSize) / (maxSize - minSize)));
+
+        const direction = this.config.features.householdSize.direction || 'higher';
+        if (direction === 'higher') {
+            // Larger households (families) are better
+            return normalizedSize * 10;
+        } else {
+            return Math.max(0, 10 - normalizedSize * 10);
+        }
+    }
+
+    getMedianIncome(segment) {
+        return this.getBlockGroupMetric(segment, 'income');
+    }
+
+    scoreMedianIncome(segment) {
+        const income = this.getMedianIncome(segment);
+        if (income === null) {
+            return null; // No data available
+        }
+
+        // Normalize against $150,000 (incomes above get full score)
+        const maxIncome = 150000;
+        const normalizedIncome = Math.min(1, income / maxIncome);
+
+        const direction = this.config.features.income.direction || 'lower';
+        if (direction === 'lower') {
+            // Lower income areas are better for equity targeting
+            return Math.max(0, 10 - normalizedIncome * 10);
+        } else {
+            return normalizedIncome * 10;
+        }
+    }
+
+    getPermitsPerYear(segment) {
+        // Building permits issued within the lookback window near the segment
+        // (the building_permits index only holds recent permits, see buildSpatialIndexes)
+        if (!this.datasets.has('building_permits')) {
+            return null; // No data available
+        }
+
+        const radiusMiles = this.getFeatureRadius('permits');
+        const years = this.config.features.permits.years || 3;
+        return this.calculateDensityInRadius(segment, 'building_permits', radiusMiles, 'count') / years;
+    }
+
+    scorePermitActivity(segment) {
+        const permitsPerYear = this.getPermitsPerYear(segment);
+        if (permitsPerYear === null) {
+            return null; // No data available
+        }
+
+        // Normalize against 750 permits per year within the radius
+        const maxPermitsPerYear = 750;
+        const normalizedPermits = Math.min(1, permitsPerYear / maxPermitsPerYear);
+
+        const direction = this.config.features.permits.direction || 'higher';
+        if (direction === 'higher') {
+            // Recent development activity signals market demand
+            return normalizedPermits * 10;
+        } else {
+            return Math.max(0, 10 - normalizedPermits * 10);
+        }
+    }
+
+    /**
+     * Per-block-group value of each block-group feature (null when missing)
+     */
+    getBlockGroupReaders() {
+        return {
+            adi: blockGroup => {
+                const adiValue = parseFloat(blockGroup.properties.adi);
+                return blockGroup.properties.adi && !isNaN(adiValue) ? adiValue : null;
+            },
+            crashes: blockGroup => {
+                const crashCount = parseInt(blockGroup.properties.crash_count);
+                return blockGroup.properties.crash_count && !isNaN(crashCount) ? crashCount : null;
+            },
+            population: blockGroup => {
+                // Residents per square mile
+                const population = this.getBlockGroupPopulation(blockGroup);
+                const areaSqMi = this.getBlockGroupAreaSqMi(blockGroup);
+                return population !== null && areaSqMi > 0 ? population / areaSqMi : null;
+            },
+            householdSize: blockGroup =>
+                this.getBlockGroupValue(blockGroup, ['avg_household_size', 'avg_hh_size', 'household_size', 'B25010_001E']),
+            income: blockGroup =>
+                this.getBlockGroupValue(blockGroup, ['median_household_income', 'median_income', 'med_hh_income', 'B19013_001E'])
+        };
     }
 
-    scoreProximityToCTAStations(segment) {
-        const radiusMiles = this.config.features.ctaStations.radius;
-        return this.calculateProximityToPoints(segment, 'cta_rail_stations', radiusMiles);
+    getBlockGroupPopulation(blockGroup) {
+        return this.getBlockGroupValue(blockGroup, ['total_population', 'population', 'pop_total', 'B01003_001E']);
     }
 
-    scoreProximityToMetraStations(segment) {
-        const radiusMiles = this.config.features.metraStations.radius;
-        return this.calculateProximityToPoints(segment, 'metra_stations', radiusMiles);
+    getBlockGroupAreaSqMi(blockGroup) {
+        return this.getCachedGeometry(blockGroup, 'areaSqMi', () => turf.area(blockGroup) / SQ_METERS_PER_SQ_MILE);
     }
 
-    scoreProximityToAmtrakStations(segment) {
-        const radiusMiles = this.config.features.amtrakStations.radius;
-        return this.calculateProximityToPoints(segment, 'amtrak_stations', radiusMiles);
-    }
+    /**
+     * Block-group feature value for a segment. With the default catchment this is the average over every
+     * block group within blockGroupCatchment.distance of the segment, weighted by overlapping area (or by
+     * estimated residents in the overlap); weighting 'centroid' uses only the block group containing the center.
+     * @param {Object} segment - Segment object
+     * @param {string} featureKey - Key in getBlockGroupReaders
+     * @param {string} side - Optional side of the freeway to restrict to (see getBlockGroupCatchment)
+     * @returns {number|null} Value, or null when no block group has data
+     */
+    getBlockGroupMetric(segment, featureKey, side = null) {
+        const reader = this.getBlockGroupReaders()[featureKey];
 
-    scoreProximityToParks(segment) {
-        const radiusMiles = this.config.features.parks.radius;
-        return this.calculateProximityToPolygons(segment, 'parks', radiusMiles);
-    }
+        if (this.getCatchmentSettings().weighting === 'centroid') {
+            const blockGroup = this.findContainingBlockGroup(segment);
+            return blockGroup ? reader(blockGroup) : null;
+        }
 
-    scoreProximityToPublicSchools(segment) {
-        const radiusMiles = this.config.features.publicSchools.radius;
-        return this.calculateProximityToPoints(segment, 'public_schools', radiusMiles);
-    }
+        let weightedSum = 0;
+        let totalWeight = 0;
+        for (const part of this.getBlockGroupCatchment(segment)) {
+            if (side && part.side !== side) continue;
 
-    scoreProximityToPrivateSchools(segment) {
-        const radiusMiles = this.config.features.privateSchools.radius;
-        return this.calculateProximityToPoints(segment, 'private_schools', radiusMiles);
-    }
+            const value = reader(part.blockGroup);
+            if (value === null || !(part.weight > 0)) continue;
 
-    scoreProximityToColleges(segment) {
-        const radiusMiles = this.config.features.colleges.radius;
-        return this.calculateProximityToPoints(segment, 'colleges_universities', radiusMiles);
-    }
+            weightedSum += value * part.weight;
+            totalWeight += part.weight;
+        }
 
-    scoreProximityToHospitals(segment) {
-        const radiusMiles = this.config.features.hospitals.radius;
-        return this.calculateProximityToPoints(segment, 'hospitals', radiusMiles);
+        return totalWeight > 0 ? weightedSum / totalWeight : null;
     }
 
-    scoreProximityToLandmarks(segment) {
-        const radiusMiles = this.config.features.landmarks.radius;
-        return this.calculateProximityToPolygons(segment, 'landmarks', radiusMiles);
+    getCatchmentSettings() {
+        return { distance: 0.25, weighting: 'area', ...this.config.blockGroupCatchment };
     }
 
-    scoreProximityToStadiums(segment) {
-        const radiusMiles = this.config.features.stadiums.radius;
-        return this.calculateProximityToPoints(segment, 'stadiums', radiusMiles);
-    }
+    /**
+     * Pieces of every block group that overlap the segment's catchment: the segment chord grown by the
+     * catchment distance and split along its chord, so each piece falls on one side.
+     * Sides are named by compass direction (e.g. 'north'/'south' for an east-west freeway).
+     * @returns {Array} [{ blockGroup, side, areaSqMi, weight }]
+     */
+    getBlockGroupCatchment(segment) {
+        return this.getCachedGeometry(segment.geometry, 'blockGroupCatchment', () => {
+            const index = this.getSpatialIndex('block_groups_with_census');
+            if (!index) return [];
+
+            const { distance, weighting } = this.getCatchmentSettings();
+            const parts = [];
+
+            for (const half of this.getCatchmentHalves(segment, distance)) {
+                for (const { feature: blockGroup } of index.query(turf.bbox(half.polygon))) {
+                    let overlap;
+                    try {
+                        overlap = turf.intersect(half.polygon, blockGroup);
+                    } catch (error) {
+                        // Skip invalid geometries
+                        continue;
+                    }
+                    if (!overlap) continue;
 
-    scoreProximityToSSAs(segment) {
-        const radiusMiles = this.config.features.ssa.radius;
-        return this.calculateProximityToPolygons(segment, 'special_service_areas', radiusMiles);
+                    const areaSqMi = turf.area(overlap) / SQ_METERS_PER_SQ_MILE;
+                    parts.push({ blockGroup, side: half.side, areaSqMi, weight: areaSqMi });
+                }
+            }
+
+            if (weighting === 'population') {
+                // Estimated residents in the overlap, assuming population is spread evenly over the block group
+                const weighted = parts.map(part => {
+                    const population = this.getBlockGroupPopulation(part.blockGroup);
+                    const areaSqMi = this.getBlockGroupAreaSqMi(part.blockGroup);
+                    return { ...part, weight: population !== null && areaSqMi > 0 ? population * part.areaSqMi / areaSqMi : 0 };
+                });
+
+                // Fall back to area weighting where no block group reports population
+                if (weighted.some(part => part.weight > 0)) return weighted;
+            }
+
+            return parts;
+        });
     }
 
-    scoreProximityToTIFs(segment) {
-        const radiusMiles = this.config.features.tif.radius;
-        return this.calculateProximityToPolygons(segment, 'tif_districts', radiusMiles);
+    /**
+     * The two halves of a segment's catchment rectangle, one on each side of the chord between the
+     * segment's ends
+     * @param {Object} segment - Segment object with its route position
+     * @param {number} distanceMiles - How far the catchment extends past the segment
+     * @returns {Array} [{ side, polygon }]
+     */
+    getCatchmentHalves(segment, distanceMiles) {
+        const { line, startKm, endKm } = segment.route;
+        const [tipB, tipA] = this.getCachedGeometry(segment.geometry, 'ends', () =>
+            [startKm, endKm].map(km => turf.along(line, km, { units: 'kilometers' })));
+        const bearing = turf.bearing(tipB, tipA);
+
+        // Extend the chord past both ends by the catchment distance
+        const options = { units: 'miles' };
+        const start = turf.destination(tipB, distanceMiles, bearing + 180, options);
+        const end = turf.destination(tipA, distanceMiles, bearing, options);
+        const halfWidth = distanceMiles + segment.properties.width_ft / 5280 / 2;
+
+        return [90, -90].map(offset => {
+            const farStart = turf.destination(start, halfWidth, bearing + offset, options);
+            const farEnd = turf.destination(end, halfWidth, bearing + offset, options);
+            const compass = this.getCompassDirection(bearing + offset);
+
+            return {
+                side: compass,
+                polygon: turf.polygon([[
+                    start.geometry.coordinates,
+                    end.geometry.coordinates,
+                    farEnd.geometry.coordinates,
+                    farStart.geometry.coordinates,
+                    start.geometry.coordinates
+                ]])
+            };
+        });
     }
 
-    scoreProximityToMedicalDistrict(segment) {
-        const radiusMiles = this.config.features.medicalDistrict.radius;
-        return this.calculateProximityToPolygons(segment, 'medical_district', radiusMiles);
+    /**
+     * @param {number} bearing - Bearing in degrees (any range)
+     * @returns {string} Nearest of 'north', 'east', 'south' or 'west'
+     */
+    getCompassDirection(bearing) {
+        return ['north', 'east', 'south', 'west'][Math.round(((bearing % 360) + 360) % 360 / 90) % 4];
     }
 
-    scoreProximityToNeighborhoodCenter(segment) {
-        const radiusMiles = this.config.features.neighborhoodCenter.radius;
-        // For neighborhood centers, we calculate distance to polygon centroids
-        if (!this.datasets.has('neighborhoods')) return 0;
+    /**
+     * Block-group values on each side of the freeway, reported in the segment details
+     * @returns {Object|null} { [side]: { [featureKey]: value } }, null when using the centroid block group
+     */
+    getBlockGroupSides(segment) {
+        if (this.getCatchmentSettings().weighting === 'centroid') return null;
 
-        const dataset = this.datasets.get('neighborhoods');
-        const segmentCenter = turf.point(segment.properties.center);
-        let nearestDistance = Infinity;
+        const parts = this.getBlockGroupCatchment(segment);
+        if (parts.length === 0) return null;
 
-        for (const feature of dataset.features) {
-            try {
-                const centroid = turf.centroid(feature);
-                const distance = turf.distance(segmentCenter, centroid, { units: 'miles' });
-                if (distance < nearestDistance) {
-                    nearestDistance = distance;
-                }
-            } catch (error) {
-                // Skip invalid polygons
-                continue;
+        const sides = {};
+        for (const side of new Set(parts.map(part => part.side))) {
+            sides[side] = {};
+            for (const featureKey of Object.keys(this.getBlockGroupReaders())) {
+                sides[side][featureKey] = this.getBlockGroupMetric(segment, featureKey, side);
             }
         }
+        return sides;
+    }
 
-        if (nearestDistance === Infinity) return 0;
+    /**
+     * Read the first usable numeric census attribute from a block group.
+     * ACS exports use large negative sentinels (e.g. -666666666) for suppressed values, which count as missing.
+     */
+    getBlockGroupValue(blockGroup, fieldNames) {
+        if (!blockGroup) return null;
+
+        for (const field of fieldNames) {
+            const value = parseFloat(blockGroup.properties[field]);
+            if (!isNaN(value) && value >= 0) {
+                return value;
+            }
+        }
 
-        // Linear decay: score = max(0, 1 - distance/radius)
-        const score = Math.max(0, 1 - (nearestDistance / radiusMiles));
-        return score * 10; // Scale to 0-10
+        return null;
     }
 
-    scoreProximityToBridges(segment) {
-        const radiusMiles = this.config.features.bridges.radius;
-        return this.calculateProximityToPoints(segment, 'bridges', radiusMiles);
+    /**
+     * Keep only permits issued within the configured number of years before today
+     */
+    filterRecentPermits(permits) {
+        const years = this.config.features.permits?.years || 3;
+        const cutoff = new Date();
+        cutoff.setFullYear(cutoff.getFullYear() - years);
+
+        return permits.filter(permit => {
+            const props = permit.properties || {};
+            const issued = Date.parse(props.issue_date || props.ISSUE_DATE || props.issued_date || '');
+            return !isNaN(issued) && issued >= cutoff.getTime();
+        });
     }
 
-    scoreADIOfBlockGroup(segment) {
-        // Find which block group this segment is in and return its ADI score
-        const blockGroup = this.findContainingBlockGroup(segment);
-        if (!blockGroup || !blockGroup.properties.adi) {
-            return 0; // No data available
-        }
+    getFundingHorizon() {
+        return { year: null, weightByLifetime: false, ...this.config.fundingHorizon };
+    }
 
-        const adiValue = parseFloat(blockGroup.properties.adi);
-        if (isNaN(adiValue)) return 0;
+    /**
+     * Spatial index key for the districts of a funding dataset that are active through the horizon year
+     */
+    getActiveDistrictsKey(datasetKey) {
+        return `${datasetKey}:active`;
+    }
 
-        // ADI values typically range from 1-100, where higher = more disadvantaged
-        // Score based on direction preference
-        const direction = this.config.features.adi.direction || 'higher';
+    /**
+     * Year a TIF/SSA district's funding ends, from its expiration date (null if the dataset has none)
+     */
+    getDistrictExpirationYear(district) {
+        return this.getDistrictDateYear(district.properties?.expiration);
+    }
 
-        if (direction === 'higher') {
-            // Higher ADI (more disadvantaged) is better for equity targeting
-            return Math.min(10, (adiValue / 100) * 10);
-        } else {
-            // Lower ADI (less disadvantaged) is better for development
-            return Math.max(0, 10 - (adiValue / 100) * 10);
-        }
+    /**
+     * Year a TIF/SSA district was approved (null if the dataset has no approval date)
+     */
+    getDistrictApprovalYear(district) {
+        return this.getDistrictDateYear(district.properties?.approval_d);
     }
 
-    scoreCrashFrequency(segment) {
-        // Find which block group this segment is in and return its crash frequency score
-        const blockGroup = this.findContainingBlockGroup(segment);
-        if (!blockGroup || !blockGroup.properties.crash_count) {
-            return 0; // No data available
-        }
+    getDistrictDateYear(value) {
+        const date = Date.parse(value || '');
+        return isNaN(date) ? null : new Date(date).getFullYear();
+    }
 
-        const crashCount = parseInt(blockGroup.properties.crash_count);
-        if (isNaN(crashCount)) return 0;
+    /**
+     * Keep funding districts that can fund a cap in the horizon year (the current year if none is set):
+     * not repealed or marked inactive, approved by then and not expiring before it. Districts without
+     * date fields are kept.
+     */
+    filterActiveDistricts(districts) {
+        const { year } = this.getFundingHorizon();
+        const referenceYear = year || new Date().getFullYear();
 
-        // Normalize crash count to 0-10 scale using 2200 crashes for better distribution
-        const maxCrashes = 2200; // Areas with 2200+ crashes get full score
-        const normalizedCrashes = Math.min(1, crashCount / maxCrashes);
+        return districts.filter(district => {
+            const props = district.properties || {};
+            if (props.repealed_d) return false;
 
-        // Score based on direction preference
-        const direction = this.config.features.crashes.direction || 'lower';
+            const status = String(props.status || '').toLowerCase();
+            if (['repealed', 'inactive', 'expired', 'terminated'].includes(status)) return false;
 
-        if (direction === 'lower') {
-            // Lower crash frequency is better (safer area)
-            return Math.max(0, 10 - normalizedCrashes * 10);
-        } else {
-            // Higher crash frequency is better (more improvement potential)
-            return normalizedCrashes * 10;
-        }
+            const approvalYear = this.getDistrictApprovalYear(district);
+            if (approvalYear !== null && approvalYear > referenceYear) return false;
+
+            const expirationYear = this.getDistrictExpirationYear(district);
+            return expirationYear === null || expirationYear >= referenceYear;
+        });
+    }
+
+    /**
+     * Remaining-lifetime weight for a funding district: years of funding left from the horizon year
+     * (the current year if none is set), counting the horizon year itself, scaled so that
+     * FULL_LIFETIME_YEARS or more weighs 1. Districts without an expiration date weigh 1.
+     */
+    getDistrictLifetimeWeight(district) {
+        const expirationYear = this.getDistrictExpirationYear(district);
+        if (expirationYear === null) return 1;
+
+        const horizonYear = this.getFundingHorizon().year || new Date().getFullYear();
+        const remainingYears = expirationYear - horizonYear + 1;
+        return Math.max(0, Math.min(1, remainingYears / FULL_LIFETIME_YEARS));
     }
 
     findContainingBlockGroup(segment) {
@@ -578,10 +2558,10 @@ class AnalysisEngine {
             return null;
         }
 
-        const blockGroups = this.datasets.get('block_groups_with_census');
+        const index = this.getSpatialIndex('block_groups_with_census');
         const segmentCenter = turf.centroid(segment.geometry);
 
-        for (const feature of blockGroups.features) {
+        for (const { feature } of index.query(turf.bbox(segmentCenter))) {
             if (turf.booleanPointInPolygon(segmentCenter, feature)) {
                 return feature;
             }
@@ -590,8 +2570,12 @@ class AnalysisEngine {
         return null; // Not found in any block group
     }
 
-    scoreTransitStopDensity(segment) {
-        const radiusMiles = this.config.features.transitDensity.radius;
+    getTransitStopCount(segment) {
+        if (!this.datasets.has('cta_bus_stops') && !this.datasets.has('pace_bus_stops')) {
+            return null; // No data available
+        }
+
+        const radiusMiles = this.getFeatureRadius('transitDensity');
         let totalStops = 0;
 
         // Count CTA bus stops
@@ -604,6 +2588,13 @@ class AnalysisEngine {
             totalStops += this.calculateDensityInRadius(segment, 'pace_bus_stops', radiusMiles, 'count');
         }
 
+        return totalStops;
+    }
+
+    scoreTransitStopDensity(segment) {
+        const totalStops = this.getTransitStopCount(segment);
+        if (totalStops === null) return null;
+
         // Normalize to 0-10 scale and apply direction
         // Adjust max to get better distribution - only ~5 segments should get perfect scores
         const maxStops = 80;
@@ -629,33 +2620,29 @@ class AnalysisEngine {
         return Math.max(0, Math.min(10, score)); // Clamp to 0-10 range
     }
 
-    scoreBikeNetworkConnectivity(segment) {
-        const radiusMiles = this.config.features.bikeNetwork.radius;
+    getBikeNetworkMiles(segment) {
+        if (!this.datasets.has('bike_routes')) {
+            return null; // No data available
+        }
+
+        const radiusMiles = this.getFeatureRadius('bikeNetwork');
 
         // Use custom calculation for bike routes to properly handle the mi_ctrline property
         let totalMiles = 0;
-        if (this.datasets.has('bike_routes')) {
-            const dataset = this.datasets.get('bike_routes');
-            const segmentCenter = turf.point(segment.properties.center);
-            const radiusKm = radiusMiles * 1.60934; // Convert miles to km for Turf.js
-            const searchBuffer = turf.buffer(segmentCenter, radiusKm, { units: 'kilometers' });
-
-            for (const feature of dataset.features) {
-                try {
-                    if (turf.booleanIntersects(feature, searchBuffer)) {
-                        // Use the mi_ctrline property if available, otherwise calculate length
-                        const mileage = feature.properties.mi_ctrline ?
-                            parseFloat(feature.properties.mi_ctrline) :
-                            turf.length(feature, { units: 'miles' });
-                        totalMiles += mileage;
-                    }
-                } catch (error) {
-                    // Skip invalid geometries
-                    continue;
-                }
-            }
+        for (const feature of this.getFeaturesInRadius(segment, 'bike_routes', radiusMiles)) {
+            // Use the mi_ctrline property if available, otherwise calculate length
+            const mileage = feature.properties.mi_ctrline ?
+                parseFloat(feature.properties.mi_ctrline) :
+                turf.length(feature, { units: 'miles' });
+            totalMiles += mileage;
         }
 
+        return totalMiles;
+    }
+
+    scoreBikeNetworkConnectivity(segment) {
+        const totalMiles = this.getBikeNetworkMiles(segment);
+        if (totalMiles === null) return null;
 
         // Normalize to 0-10 scale and apply direction
         // Based on dataset analysis, adjust max for better distribution
@@ -736,16 +2723,20 @@ class AnalysisEngine {
     /**
      * Minimum boundary-to-boundary distance (miles) between a polygon feature and the segment polygon
      * @param {Object} polyFeature - Polygon or MultiPolygon feature
-     * @param {Object} segmentPolygon - Segment rectangle polygon
+     * @param {Object} segmentPolygon - Segment footprint polygon
      * @returns {number} Minimum distance in miles between boundaries
      */
     minBoundaryDistanceMiles(polyFeature, segmentPolygon) {
-        const segLines = this.toLineStrings(turf.polygonToLine(segmentPolygon));
-        const polyLines = this.toLineStrings(turf.polygonToLine(polyFeature));
+        // Boundaries and vertices are cached per geometry; they are reused across every segment/feature pair
+        const segLines = this.getCachedGeometry(segmentPolygon, 'lines', () =>
+            this.toLineStrings(turf.polygonToLine(segmentPolygon)));
+        const polyLines = this.getCachedGeometry(polyFeature, 'lines', () =>
+            this.toLineStrings(turf.polygonToLine(polyFeature)));
 
         // Explode to vertices
-        const polyVerts = turf.explode(polyFeature).features;
-        const segVerts = segLines.flatMap(ls => turf.explode(ls).features);
+        const polyVerts = this.getCachedGeometry(polyFeature, 'vertices', () => turf.explode(polyFeature).features);
+        const segVerts = this.getCachedGeometry(segmentPolygon, 'vertices', () =>
+            segLines.flatMap(ls => turf.explode(ls).features));
 
         let min = Infinity;
 
@@ -771,174 +2762,376 @@ class AnalysisEngine {
     /**
      * Calculate proximity score to point features (CTA stations, hospitals, schools, etc.)
      * Uses distance from point to segment boundary for more accurate proximity measurement
-     * @param {Object} segment - Segment object with geometry (rectangle polygon)
+     * @param {Object} segment - Segment object with geometry (footprint polygon)
      * @param {string} datasetKey - Key for dataset in this.datasets
      * @param {number} radiusMiles - Maximum distance to consider (linear decay to 0)
      * @returns {number} Score 0-10, where 10 = point on segment boundary, 0 = at radius or beyond
      */
     /**
      * Calculate nearest distance from segment to any point in the dataset
-     * @param {Object} segment - Segment object with geometry (rectangle polygon)
+     * @param {Object} segment - Segment object with geometry (footprint polygon)
      * @param {string} datasetKey - Key for dataset in this.datasets
      * @returns {number} Distance in miles to nearest point (Infinity if no points found)
      */
     getNearestPointDistance(segment, datasetKey) {
-        if (!this.datasets.has(datasetKey)) return Infinity;
+        return this.findNearestPoint(segment, datasetKey).distance;
+    }
 
-        const dataset = this.datasets.get(datasetKey);
-        const segmentGeometry = segment.geometry;
+    /**
+     * Find the nearest point feature to a segment using the dataset's spatial index
+     * @param {Object} segment - Segment object with geometry (footprint polygon)
+     * @param {string} datasetKey - Key for dataset in this.datasets
+     * @param {Function} filter - Optional (feature) => boolean to restrict which points count
+     * @returns {Object} { feature, distance } - distance in miles (Infinity if no points found)
+     */
+    findNearestPoint(segment, datasetKey, filter = null) {
+        const index = this.getSpatialIndex(datasetKey);
+        if (!index) return { feature: null, distance: Infinity };
+
+        return index.nearest(
+            this.getSegmentBbox(segment),
+            feature => this.getPointDistanceToSegment(segment, feature, datasetKey),
+            feature => feature.geometry.type === 'Point' && (!filter || filter(feature))
+        );
+    }
 
-        let nearestDistance = Infinity;
+    /**
+     * Distance from a point feature to the segment boundary (0 if the point lies inside)
+     * @returns {number} Distance in miles
+     */
+    getPointDistanceToSegment(segment, feature, datasetKey) {
+        try {
+            // Check if point is inside segment first (distance = 0)
+            if (turf.booleanPointInPolygon(feature, segment.geometry)) {
+                return 0;
+            }
 
-        for (const feature of dataset.features) {
-            if (feature.geometry.type !== 'Point') continue;
+            // Calculate distance from point to segment boundary
+            const nearestOnSeg = turf.nearestPointOnLine(this.getSegmentBoundary(segment), feature);
+            return this.applyDistanceMode(segment, feature, turf.distance(nearestOnSeg, feature, { units: 'miles' }));
+        } catch (error) {
+            // Fallback to centroid distance
+            console.log(`[Proximity] Fallback to centroid for point feature in ${datasetKey}:`, error.message);
+            const segmentCenter = turf.point(segment.properties.center);
+            const featurePoint = turf.point(feature.geometry.coordinates);
+            return this.applyDistanceMode(segment, feature, turf.distance(segmentCenter, featurePoint, { units: 'miles' }));
+        }
+    }
 
-            let distance;
-            try {
-                // Check if point is inside segment first (distance = 0)
-                if (turf.booleanPointInPolygon(feature, segmentGeometry)) {
-                    distance = 0;
-                } else {
-                    // Calculate distance from point to segment boundary
-                    const segBoundary = turf.polygonToLine(segmentGeometry);
-                    const nearestOnSeg = turf.nearestPointOnLine(segBoundary, feature);
-                    distance = turf.distance(nearestOnSeg, feature, { units: 'miles' });
+    isNetworkDistance() {
+        return this.config.distanceMode === 'network' && !!this.walkGraph;
+    }
+
+    /**
+     * In network distance mode, replace a straight-line distance with the walk from the segment to the
+     * feature on the street network. Walks are never shorter than the straight line; features beyond the
+     * network search distance count as at least that far, and segments or features with no street nearby
+     * keep their straight-line distance.
+     * @param {Object} segment - Segment object
+     * @param {Object} feature - Feature the straight-line distance was measured to
+     * @param {number} straightMiles - Straight-line distance in miles
+     * @returns {number} Distance in miles
+     */
+    applyDistanceMode(segment, feature, straightMiles) {
+        if (!this.isNetworkDistance() || straightMiles === 0 || straightMiles === Infinity) return straightMiles;
+
+        const fromSegment = this.getNetworkDistancesFromSegment(segment);
+        const targets = this.getFeatureNetworkNodes(feature);
+        if (!fromSegment || targets.length === 0) return straightMiles;
+
+        let networkMiles = Infinity;
+        for (const { node, distance } of targets) {
+            const walk = fromSegment.get(node);
+            if (walk !== undefined) networkMiles = Math.min(networkMiles, walk + distance);
+        }
+
+        return Math.max(straightMiles, networkMiles === Infinity ? this.getNetworkSearchMiles() : networkMiles);
+    }
+
+    /**
+     * Network distance from the segment to every node within the search distance, starting from the
+     * cap's landing on both sides of the freeway (the cap connects them)
+     * @returns {Map|null} node -> miles, null if the segment has no street nearby on both sides
+     */
+    getNetworkDistancesFromSegment(segment) {
+        return this.getCachedGeometry(segment.geometry, 'networkDistances', () => {
+            const landings = this.getCapLandings(segment);
+            return landings ? this.walkGraph.shortestPaths(landings, this.getNetworkSearchMiles()) : null;
+        });
+    }
+
+    /**
+     * Largest radius any feature searches, so one network search per segment covers them all
+     */
+    getNetworkSearchMiles() {
+        if (this.networkSearchMiles === null) {
+            const radii = Object.keys(this.config.features)
+                .map(featureKey => this.getFeatureRadius(featureKey))
+                .filter(radius => radius > 0);
+            this.networkSearchMiles = Math.max(1.0, ...radii);
+        }
+        return this.networkSearchMiles;
+    }
+
+    /**
+     * Network nodes where a feature is reached: the nearest node to a point, or to each (sampled)
+     * outline vertex of a line or polygon, with the straight-line distance from the feature to that node
+     * @returns {Array} [{ node, distance }]
+     */
+    getFeatureNetworkNodes(feature) {
+        return this.getCachedGeometry(feature, 'networkNodes', () => {
+            const coords = turf.coordAll(feature);
+            const stride = Math.ceil(coords.length / NETWORK_MAX_FEATURE_VERTICES);
+            const nodes = new Map();
+
+            for (let i = 0; i < coords.length; i += stride) {
+                const nearest = this.walkGraph.nearestNode(coords[i], CAP_LANDING_MILES);
+                if (nearest && nearest.distance < (nodes.get(nearest.node) ?? Infinity)) {
+                    nodes.set(nearest.node, nearest.distance);
                 }
-            } catch (error) {
-                // Fallback to centroid distance
-                console.log(`[Proximity] Fallback to centroid for point feature in ${datasetKey}:`, error.message);
-                const segmentCenter = turf.point(segment.properties.center);
-                const featurePoint = turf.point(feature.geometry.coordinates);
-                distance = turf.distance(segmentCenter, featurePoint, { units: 'miles' });
             }
 
-            if (distance < nearestDistance) {
-                nearestDistance = distance;
+            return [...nodes].map(([node, distance]) => ({ node, distance }));
+        });
+    }
+
+    /**
+     * Distance-decay kernel for a proximity feature, chosen by state.features[featureKey].decay.
+     * Every kernel is 1 at distance 0 and 0 at the radius and beyond; the smooth kernels are rescaled
+     * so they reach exactly 0 at the radius instead of being cut off:
+     *   linear      - 1 - d/r
+     *   exponential - e^(-3d/r)
+     *   gaussian    - e^(-(d/(r/2))^2 / 2)
+     *   logistic    - 1 / (1 + e^((d - midpoint) / (r/10))), midpoint defaults to r/2
+     *   step        - 1 inside the radius, 0 outside (funding rules like "within a half mile of a station")
+     * @returns {number} Score multiplier 0-1
+     */
+    applyDistanceDecay(distance, radiusMiles, featureKey) {
+        if (distance >= radiusMiles) return 0;
+
+        const feature = this.config.features[featureKey] || {};
+        const decay = feature.decay || 'linear';
+
+        let kernel;
+        switch (decay) {
+            case 'step':
+                return 1;
+
+            case 'exponential':
+                kernel = d => Math.exp(-3 * d / radiusMiles);
+                break;
+
+            case 'gaussian': {
+                const sigma = radiusMiles / 2;
+                kernel = d => Math.exp(-0.5 * (d / sigma) ** 2);
+                break;
+            }
+
+            case 'logistic': {
+                const midpoint = feature.decayMidpoint ?? radiusMiles / 2;
+                const steepness = radiusMiles / 10;
+                kernel = d => 1 / (1 + Math.exp((d - midpoint) / steepness));
+                break;
             }
+
+            default:
+                return Math.max(0, 1 - (distance / radiusMiles));
         }
 
-        return nearestDistance;
+        // Rescale so the kernel runs from 1 at the segment to 0 at the radius
+        const atSegment = kernel(0);
+        const atRadius = kernel(radiusMiles);
+        if (atSegment <= atRadius) return 0;
+
+        return Math.max(0, Math.min(1, (kernel(distance) - atRadius) / (atSegment - atRadius)));
     }
 
-    calculateProximityToPoints(segment, datasetKey, radiusMiles) {
+    calculateProximityToPoints(segment, datasetKey, radiusMiles, featureKey) {
+        if (!this.getSpatialIndex(datasetKey)) return null; // Dataset not loaded
+
+        if (this.config.features[featureKey]?.mode === 'cumulative') {
+            return this.calculateCumulativeProximity(segment, datasetKey, radiusMiles, featureKey);
+        }
+
         const nearestDistance = this.getNearestPointDistance(segment, datasetKey);
 
         if (nearestDistance === Infinity) return 0;
 
-        // Linear decay: score = max(0, 1 - distance/radius)
-        const score = Math.max(0, 1 - (nearestDistance / radiusMiles));
-        return score * 10; // Scale to 0-10
+        return this.applyDistanceDecay(nearestDistance, radiusMiles, featureKey) * 10; // Scale to 0-10
     }
 
     /**
      * Calculate nearest distance from segment to any polygon in the dataset
-     * @param {Object} segment - Segment object with geometry (rectangle polygon)
+     * @param {Object} segment - Segment object with geometry (footprint polygon)
      * @param {string} datasetKey - Key for dataset in this.datasets
      * @returns {number} Distance in miles to nearest polygon (Infinity if no polygons found)
      */
     getNearestPolygonDistance(segment, datasetKey) {
-        if (!this.datasets.has(datasetKey)) return Infinity;
+        return this.findNearestPolygon(segment, datasetKey).distance;
+    }
 
-        const dataset = this.datasets.get(datasetKey);
-        const segmentGeometry = segment.geometry;
+    /**
+     * Find the nearest polygon feature to a segment using the dataset's spatial index
+     * @param {Object} segment - Segment object with geometry (footprint polygon)
+     * @param {string} datasetKey - Key for dataset in this.datasets
+     * @returns {Object} { feature, distance } - distance in miles (Infinity if no polygons found)
+     */
+    findNearestPolygon(segment, datasetKey) {
+        const index = this.getSpatialIndex(datasetKey);
+        if (!index) return { feature: null, distance: Infinity };
 
-        let nearestDistance = Infinity;
+        return index.nearest(
+            this.getSegmentBbox(segment),
+            feature => this.getPolygonDistanceToSegment(segment, feature, datasetKey)
+        );
+    }
 
-        for (const feature of dataset.features) {
-            let distance;
+    /**
+     * Boundary-to-boundary distance from a polygon-dataset feature to the segment (0 if overlapping)
+     * @returns {number} Distance in miles (Infinity for unsupported geometry types)
+     */
+    getPolygonDistanceToSegment(segment, feature, datasetKey) {
+        const segmentGeometry = segment.geometry;
+        let distance;
 
-            if (feature.geometry.type === 'Polygon') {
-                try {
-                    // Check if geometries overlap first (distance = 0)
-                    if (turf.booleanIntersects(segmentGeometry, feature)) {
-                        distance = 0;
-                    } else {
-                        // Calculate boundary-to-boundary distance using vertex-to-line method
-                        distance = this.minBoundaryDistanceMiles(feature, segmentGeometry);
-                    }
-                } catch (error) {
-                    // Fallback to centroid-to-centroid distance
-                    console.log(`[Proximity] Fallback to centroid for polygon feature in ${datasetKey}:`, error.message);
-                    const segmentCenter = turf.point(segment.properties.center);
-                    const featureCenter = turf.centroid(feature);
-                    distance = turf.distance(segmentCenter, featureCenter, { units: 'miles' });
+        if (feature.geometry.type === 'Polygon') {
+            try {
+                // Check if geometries overlap first (distance = 0)
+                if (turf.booleanIntersects(segmentGeometry, feature)) {
+                    distance = 0;
+                } else {
+                    // Calculate boundary-to-boundary distance using vertex-to-line method
+                    distance = this.minBoundaryDistanceMiles(feature, segmentGeometry);
                 }
-            } else if (feature.geometry.type === 'MultiPolygon') {
-                try {
-                    // Check if any polygon part overlaps with segment
-                    if (turf.booleanIntersects(segmentGeometry, feature)) {
-                        distance = 0;
-                    } else {
-                        // Process each polygon part in the MultiPolygon
-                        distance = Infinity;
-                        for (const polygonCoords of feature.geometry.coordinates) {
-                            // Create individual polygon from coordinates
-                            const individualPolygon = turf.polygon(polygonCoords);
-                            try {
-                                const partDistance = this.minBoundaryDistanceMiles(individualPolygon, segmentGeometry);
-                                if (partDistance < distance) {
-                                    distance = partDistance;
-                                }
-                            } catch (partError) {
-                                // If individual polygon processing fails, try centroid distance
-                                console.log(`[Proximity] Fallback to centroid for MultiPolygon part in ${datasetKey}:`, partError.message);
-                                const partCenter = turf.centroid(individualPolygon);
-                                const segmentCenter = turf.point(segment.properties.center);
-                                const partDistance = turf.distance(segmentCenter, partCenter, { units: 'miles' });
-
-                                if (partDistance < distance) {
-                                    distance = partDistance;
-                                }
+            } catch (error) {
+                // Fallback to centroid-to-centroid distance
+                console.log(`[Proximity] Fallback to centroid for polygon feature in ${datasetKey}:`, error.message);
+                const segmentCenter = turf.point(segment.properties.center);
+                const featureCenter = turf.centroid(feature);
+                distance = turf.distance(segmentCenter, featureCenter, { units: 'miles' });
+            }
+        } else if (feature.geometry.type === 'MultiPolygon') {
+            try {
+                // Check if any polygon part overlaps with segment
+                if (turf.booleanIntersects(segmentGeometry, feature)) {
+                    distance = 0;
+                } else {
+                    // Process each polygon part in the MultiPolygon (parts are built once per feature)
+                    distance = Infinity;
+                    const parts = this.getCachedGeometry(feature, 'parts', () =>
+                        feature.geometry.coordinates.map(polygonCoords => turf.polygon(polygonCoords)));
+
+                    for (const individualPolygon of parts) {
+                        try {
+                            const partDistance = this.minBoundaryDistanceMiles(individualPolygon, segmentGeometry);
+                            if (partDistance < distance) {
+                                distance = partDistance;
+                            }
+                        } catch (partError) {
+                            // If individual polygon processing fails, try centroid distance
+                            console.log(`[Proximity] Fallback to centroid for MultiPolygon part in ${datasetKey}:`, partError.message);
+                            const partCenter = turf.centroid(individualPolygon);
+                            const segmentCenter = turf.point(segment.properties.center);
+                            const partDistance = turf.distance(segmentCenter, partCenter, { units: 'miles' });
+
+                            if (partDistance < distance) {
+                                distance = partDistance;
                             }
                         }
                     }
-                } catch (error) {
-                    // Fallback to centroid-to-centroid distance for entire MultiPolygon
-                    console.log(`[Proximity] Fallback to centroid for MultiPolygon feature in ${datasetKey}:`, error.message);
-                    const segmentCenter = turf.point(segment.properties.center);
-                    const featureCenter = turf.centroid(feature);
-                    distance = turf.distance(segmentCenter, featureCenter, { units: 'miles' });
-                }
-            } else if (feature.geometry.type === 'Point') {
-                // Handle point features in polygon datasets - distance from point to segment boundary
-                try {
-                    const segBoundary = turf.polygonToLine(segmentGeometry);
-                    const nearestOnSeg = turf.nearestPointOnLine(segBoundary, feature);
-                    distance = turf.distance(nearestOnSeg, feature, { units: 'miles' });
-                } catch (error) {
-                    // Fallback to centroid distance
-                    console.log(`[Proximity] Fallback to centroid for point in polygon dataset ${datasetKey}:`, error.message);
-                    const segmentCenter = turf.point(segment.properties.center);
-                    distance = turf.distance(segmentCenter, feature, { units: 'miles' });
                 }
-            } else {
-                continue; // Skip unsupported geometry types
+            } catch (error) {
+                // Fallback to centroid-to-centroid distance for entire MultiPolygon
+                console.log(`[Proximity] Fallback to centroid for MultiPolygon feature in ${datasetKey}:`, error.message);
+                const segmentCenter = turf.point(segment.properties.center);
+                const featureCenter = turf.centroid(feature);
+                distance = turf.distance(segmentCenter, featureCenter, { units: 'miles' });
             }
-
-            if (distance < nearestDistance) {
-                nearestDistance = distance;
+        } else if (feature.geometry.type === 'Point') {
+            // Handle point features in polygon datasets - distance from point to segment boundary
+            try {
+                const nearestOnSeg = turf.nearestPointOnLine(this.getSegmentBoundary(segment), feature);
+                distance = turf.distance(nearestOnSeg, feature, { units: 'miles' });
+            } catch (error) {
+                // Fallback to centroid distance
+                console.log(`[Proximity] Fallback to centroid for point in polygon dataset ${datasetKey}:`, error.message);
+                const segmentCenter = turf.point(segment.properties.center);
+                distance = turf.distance(segmentCenter, feature, { units: 'miles' });
             }
+        } else {
+            return Infinity; // Skip unsupported geometry types
         }
 
-        return nearestDistance;
+        return this.applyDistanceMode(segment, feature, distance);
     }
 
     /**
      * Calculate proximity score to polygon features (parks, neighborhoods, districts, etc.)
-     * Uses boundary-to-boundary distance between segment rectangle and polygon features
-     * @param {Object} segment - Segment object with geometry (rectangle polygon)
+     * Uses boundary-to-boundary distance between segment footprint and polygon features
+     * @param {Object} segment - Segment object with geometry (footprint polygon)
      * @param {string} datasetKey - Key for dataset in this.datasets
      * @param {number} radiusMiles - Maximum distance to consider (linear decay to 0)
      * @returns {number} Score 0-10, where 10 = overlapping, 0 = at radius or beyond
      */
-    calculateProximityToPolygons(segment, datasetKey, radiusMiles) {
+    calculateProximityToPolygons(segment, datasetKey, radiusMiles, featureKey) {
+        if (!this.getSpatialIndex(datasetKey)) return null; // Dataset not loaded
+
+        if (this.config.features[featureKey]?.mode === 'cumulative') {
+            return this.calculateCumulativeProximity(segment, datasetKey, radiusMiles, featureKey);
+        }
+
         const nearestDistance = this.getNearestPolygonDistance(segment, datasetKey);
 
         if (nearestDistance === Infinity) return 0;
 
-        // Linear decay: score = max(0, 1 - distance/radius)
-        const score = Math.max(0, 1 - (nearestDistance / radiusMiles));
-        return score * 10; // Scale to 0-10
+        return this.applyDistanceDecay(nearestDistance, radiusMiles, featureKey) * 10; // Scale to 0-10
+    }
+
+    /**
+     * Cumulative-opportunity score: every feature within the radius contributes, not just the nearest.
+     * Each contribution is distance-decayed with the feature's kernel and optionally weighted by an
+     * attribute (weightField, e.g. park acres or bridge deck_area), then the sum is normalized by the
+     * feature's cumulativeNormalization:
+     *   cap - linear up to the saturation value (sum >= saturation scores 10)
+     *   log - log(1 + sum) / log(1 + saturation), for diminishing returns
+     *   max - relative to the best segment in this run (rescaled in normalizeCumulativeScores)
+     * @returns {number} Score 0-10 (raw decayed sum for 'max', rescaled after all segments are scored)
+     */
+    calculateCumulativeProximity(segment, datasetKey, radiusMiles, featureKey, featureWeight = null) {
+        const feature = this.config.features[featureKey];
+        const total = this.calculateDensityInRadius(segment, datasetKey, radiusMiles, 'count', {
+            decayFeature: featureKey,
+            weightField: feature.weightField || null,
+            featureWeight
+        });
+
+        const saturation = feature.saturation > 0 ? feature.saturation : 5;
+        switch (feature.cumulativeNormalization || 'cap') {
+            case 'max':
+                return total;
+
+            case 'log':
+                return Math.min(1, Math.log1p(total) / Math.log1p(saturation)) * 10;
+
+            default:
+                return Math.min(1, total / saturation) * 10;
+        }
+    }
+
+    /**
+     * Rescale raw cumulative sums for features normalized against the run's best segment
+     * @param {Array} segments - Scored segments
+     */
+    normalizeCumulativeScores(segments) {
+        for (const [featureKey, feature] of Object.entries(this.config.features)) {
+            if (feature.mode !== 'cumulative' || feature.cumulativeNormalization !== 'max') continue;
+
+            const maxTotal = Math.max(0, ...segments.map(segment => segment.scores[featureKey] || 0));
+            for (const segment of segments) {
+                if (segment.scores[featureKey] === null) continue; // No data available
+                segment.scores[featureKey] = maxTotal > 0 ? (segment.scores[featureKey] / maxTotal) * 10 : 0;
+            }
+        }
     }
 
     /**
@@ -946,46 +3139,50 @@ class AnalysisEngine {
      * @param {Object} segment - Segment object with properties.center
      * @param {string} datasetKey - Key for dataset in this.datasets
      * @param {number} radiusMiles - Radius to search within
-     * @param {string} metric - 'count' for point count, 'length' for line length, 'area' for polygon area
-     * @returns {number} Raw metric value (will be normalized later using 5th-95th percentile)
-     */
-    calculateDensityInRadius(segment, datasetKey, radiusMiles, metric = 'count') {
-        if (!this.datasets.has(datasetKey)) return 0;
-
-        const dataset = this.datasets.get(datasetKey);
-        const segmentCenter = turf.point(segment.properties.center);
-        const radiusKm = radiusMiles * 1.60934; // Convert miles to km for Turf.js
-        const searchBuffer = turf.buffer(segmentCenter, radiusKm, { units: 'kilometers' });
-
+     * @param {string} metric - 'count' for point count, 'length' for line length, 'area' for polygon area
+     * @param {Object} options - Optional per-feature weighting:
+     *   decayFeature - feature key whose decay kernel scales each feature by its distance to the segment
+     *   weightField - numeric property each feature's contribution is multiplied by (missing values count 0)
+     *   featureWeight - function returning a further multiplier for each feature (e.g. district lifetime)
+     * @returns {number} Raw metric value (density scorers normalize it, see normalizeFeatureMetrics)
+     */
+    calculateDensityInRadius(segment, datasetKey, radiusMiles, metric = 'count', options = {}) {
+        const { decayFeature = null, weightField = null, featureWeight = null } = options;
         let totalValue = 0;
 
-        for (const feature of dataset.features) {
-            // Check if feature intersects with search buffer
-            let intersects = false;
-            try {
-                intersects = turf.booleanIntersects(feature, searchBuffer);
-            } catch (error) {
-                // Skip invalid geometries
-                continue;
+        for (const feature of this.getFeaturesInRadius(segment, datasetKey, radiusMiles)) {
+            let weight = 1;
+            if (weightField) {
+                weight = parseFloat(feature.properties?.[weightField]);
+                if (!(weight > 0)) continue;
+            }
+            if (featureWeight) {
+                weight *= featureWeight(feature);
+                if (weight <= 0) continue;
+            }
+            if (decayFeature) {
+                const distance = feature.geometry.type === 'Point'
+                    ? this.getPointDistanceToSegment(segment, feature, datasetKey)
+                    : this.getPolygonDistanceToSegment(segment, feature, datasetKey);
+                weight *= this.applyDistanceDecay(distance, radiusMiles, decayFeature);
+                if (weight <= 0) continue;
             }
-
-            if (!intersects) continue;
 
             // Calculate metric based on type
             switch (metric) {
                 case 'count':
-                    totalValue += 1;
+                    totalValue += weight;
                     break;
 
                 case 'length':
                     if (feature.geometry.type === 'LineString' || feature.geometry.type === 'MultiLineString') {
-                        totalValue += turf.length(feature, { units: 'miles' });
+                        totalValue += turf.length(feature, { units: 'miles' }) * weight;
                     }
                     break;
 
                 case 'area':
                     if (feature.geometry.type === 'Polygon' || feature.geometry.type === 'MultiPolygon') {
-                        totalValue += turf.area(feature) * 0.000000386102; // Convert sq meters to sq miles
+                        totalValue += turf.area(feature) * 0.000000386102 * weight; // Convert sq meters to sq miles
                     }
                     break;
             }
@@ -994,6 +3191,39 @@ class AnalysisEngine {
         return totalValue;
     }
 
+    /**
+     * Features that intersect a circular buffer around the segment center (in network distance mode,
+     * also within radiusMiles walk of the segment)
+     * @param {Object} segment - Segment object with properties.center
+     * @param {string} datasetKey - Key for dataset in this.datasets
+     * @param {number} radiusMiles - Radius to search within
+     * @returns {Array} Matching features, in dataset order
+     */
+    getFeaturesInRadius(segment, datasetKey, radiusMiles) {
+        const index = this.getSpatialIndex(datasetKey);
+        if (!index) return [];
+
+        const segmentCenter = turf.point(segment.properties.center);
+        const radiusKm = radiusMiles * 1.60934; // Convert miles to km for Turf.js
+        const searchBuffer = turf.buffer(segmentCenter, radiusKm, { units: 'kilometers' });
+
+        const features = [];
+        for (const { feature } of index.query(turf.bbox(searchBuffer))) {
+            // Check if feature intersects with search buffer
+            try {
+                if (turf.booleanIntersects(feature, searchBuffer) && (!this.isNetworkDistance()
+                    || this.getFeatureDistanceToSegment(segment, feature, datasetKey) <= radiusMiles)) {
+                    features.push(feature);
+                }
+            } catch (error) {
+                // Skip invalid geometries
+                continue;
+            }
+        }
+
+        return features;
+    }
+
     // =================================================================
     // REQUIREMENT FILTER METHODS
     // =================================================================
@@ -1004,45 +3234,34 @@ class AnalysisEngine {
     applyStationProximityGate() {
         const maxDistanceMiles = this.config.requirements.stationProximity.distance;
 
-        // Collect all station datasets
-        const stationDatasets = [];
-        if (this.datasets.has('cta_rail_stations')) {
-            stationDatasets.push(this.datasets.get('cta_rail_stations'));
-        }
-        if (this.datasets.has('metra_stations')) {
-            stationDatasets.push(this.datasets.get('metra_stations'));
-        }
-        if (this.datasets.has('amtrak_stations')) {
-            stationDatasets.push(this.datasets.get('amtrak_stations'));
-        }
+        // Collect all station indexes
+        const stationIndexes = ['cta_rail_stations', 'metra_stations', 'amtrak_stations']
+            .map(datasetKey => this.getSpatialIndex(datasetKey))
+            .filter(index => index !== null);
 
-        if (stationDatasets.length === 0) {
-            console.warn('No station datasets available for Station-Proximity Gate');
+        if (stationIndexes.length === 0) {
+            this.skipGate('stationProximity', 'no station datasets loaded');
             return;
         }
 
-        // Combine all stations into one array
-        const allStations = [];
-        stationDatasets.forEach(dataset => {
-            dataset.features.forEach(station => {
-                if (station.geometry.type === 'Point') {
-                    allStations.push(station);
-                }
-            });
-        });
+        const stationCount = stationIndexes.reduce((sum, index) => sum + index.entries.length, 0);
+        console.log(`Applying Station-Proximity Gate with ${stationCount} stations, max distance ${maxDistanceMiles} miles`);
 
-        console.log(`Applying Station-Proximity Gate with ${allStations.length} stations, max distance ${maxDistanceMiles} miles`);
+        this.gatesApplied.push('stationProximity');
 
         let excludedCount = 0;
         for (const segment of this.segments) {
-            if (!segment.eligible) continue;
-
             // Find minimum distance from segment center to any station
             let minDistance = Infinity;
             const segmentCenter = turf.point(segment.properties.center);
-
-            for (const station of allStations) {
-                const distance = turf.distance(segmentCenter, station, { units: 'miles' });
+            const centerBbox = turf.bbox(segmentCenter);
+
+            for (const index of stationIndexes) {
+                const { distance } = index.nearest(
+                    centerBbox,
+                    station => turf.distance(segmentCenter, station, { units: 'miles' }),
+                    station => station.geometry.type === 'Point'
+                );
                 if (distance < minDistance) {
                     minDistance = distance;
                 }
@@ -1050,7 +3269,8 @@ class AnalysisEngine {
 
             // Exclude if farther than threshold from ALL stations
             if (minDistance > maxDistanceMiles) {
-                segment.eligible = false;
+                this.excludeSegment(segment, 'stationProximity',
+                    `nearest station ${minDistance.toFixed(2)} mi away > ${maxDistanceMiles} mi`);
                 excludedCount++;
             }
         }
@@ -1058,6 +3278,116 @@ class AnalysisEngine {
         console.log(`Station-Proximity Gate excluded ${excludedCount} segments`);
     }
 
+    /**
+     * Apply Study Area gate: Only keep segments whose surroundings (the segment plus the buffer distance)
+     * fall entirely inside the study area - either a user-drawn polygon or every polygon of a dataset
+     */
+    applyStudyAreaGate() {
+        const { distance = 0, source = 'chicago_boundary', polygon = null } = this.config.requirements.globalBuffer;
+
+        let studyArea;
+        if (source === 'drawn') {
+            studyArea = polygon ? [polygon] : [];
+        } else {
+            studyArea = this.datasets.has(source) ? this.datasets.get(source).features : [];
+        }
+
+        // Split MultiPolygons so each part can be tested on its own
+        const studyAreaPolygons = studyArea
+            .filter(feature => feature && feature.geometry &&
+                (feature.geometry.type === 'Polygon' || feature.geometry.type === 'MultiPolygon'))
+            .flatMap(feature => turf.flatten(feature).features);
+
+        if (studyAreaPolygons.length === 0) {
+            this.skipGate('studyArea', source === 'drawn' ? 'no study area drawn' : `no ${source} polygons loaded`);
+            return;
+        }
+
+        // Index the study area outline as individual edges so the distance from a segment to the
+        // boundary is a nearest-neighbour lookup instead of a scan of every vertex. Adjacent polygons
+        // (neighboring TIF districts, say) are dissolved first, so the edges they share aren't boundary.
+        const boundaryEdges = [];
+        for (const studyPolygon of this.dissolvePolygons(studyAreaPolygons)) {
+            for (const ring of studyPolygon.geometry.coordinates) {
+                for (let i = 0; i < ring.length - 1; i++) {
+                    boundaryEdges.push(turf.lineString([ring[i], ring[i + 1]]));
+                }
+            }
+        }
+        const edgeIndex = new SpatialIndex(boundaryEdges);
+
+        console.log(`Applying Study Area gate (${source}, ${studyAreaPolygons.length} polygons, buffer ${distance} miles)`);
+
+        this.gatesApplied.push('studyArea');
+
+        let excludedCount = 0;
+        for (const segment of this.segments) {
+            // Every vertex of the segment outline must be inside the study area...
+            const corners = segment.geometry.geometry.coordinates[0].map(coord => turf.point(coord));
+            const inside = corners.every(corner =>
+                studyAreaPolygons.some(studyPolygon => turf.booleanPointInPolygon(corner, studyPolygon)));
+            if (!inside) {
+                this.excludeSegment(segment, 'studyArea', 'outside the study area');
+                excludedCount++;
+                continue;
+            }
+
+            // ...and the boundary must be at least the buffer distance away
+            if (distance > 0) {
+                const { distance: boundaryDistance } = edgeIndex.nearest(
+                    this.getSegmentBbox(segment),
+                    edge => this.getEdgeDistanceToSegment(segment, edge)
+                );
+                if (boundaryDistance < distance) {
+                    this.excludeSegment(segment, 'studyArea',
+                        `${boundaryDistance.toFixed(2)} mi from the study area boundary < ${distance} mi`);
+                    excludedCount++;
+                }
+            }
+        }
+
+        console.log(`Study Area gate excluded ${excludedCount} segments`);
+    }
+
+    /**
+     * Union of a set of polygons, as single-part polygons
+     * @returns {Array} Polygon features (the input unchanged if the union fails on invalid geometry)
+     */
+    dissolvePolygons(polygons) {
+        if (polygons.length < 2) return polygons;
+
+        try {
+            const dissolved = polygons.slice(1).reduce((merged, polygon) => turf.union(merged, polygon) || merged, polygons[0]);
+            return turf.flatten(dissolved).features;
+        } catch (error) {
+            console.warn('Could not dissolve study area polygons - measuring to every outline:', error.message);
+            return polygons;
+        }
+    }
+
+    /**
+     * Shortest distance between a two-point boundary edge and the segment outline.
+     * Checks edge endpoints against the outline and outline corners against the edge, which is exact
+     * unless the two cross (only possible where the boundary notches into the narrow segment footprint).
+     * @returns {number} Distance in miles
+     */
+    getEdgeDistanceToSegment(segment, edge) {
+        const boundary = this.getSegmentBoundary(segment);
+        let min = Infinity;
+
+        for (const coord of edge.geometry.coordinates) {
+            const d = turf.pointToLineDistance(turf.point(coord), boundary, { units: 'miles' });
+            if (d < min) min = d;
+        }
+
+        for (const coord of segment.geometry.geometry.coordinates[0]) {
+            const d = turf.pointToLineDistance(turf.point(coord), edge, { units: 'miles' });
+            if (d < min) min = d;
+        }
+
+        return min;
+    }
+
     /**
      * Apply Neighborhood filters: Only include segments in selected neighborhoods
      */
@@ -1073,18 +3403,12 @@ class AnalysisEngine {
             'neighborhoods',
             `neighborhood filters: ${selectedNeighborhoods.length} neighborhoods`,
             (segment, neighborhood) => {
-                const neighborhoodName = neighborhood.properties.pri_neigh ||
-                                       neighborhood.properties.neighborhood ||
-                                       neighborhood.properties.name ||
-                                       neighborhood.properties.COMMUNITY ||
-                                       neighborhood.properties.PRI_NEIGH ||
-                                       '';
-
-                if (selectedNeighborhoods.includes(neighborhoodName)) {
+                if (selectedNeighborhoods.includes(this.getNeighborhoodName(neighborhood))) {
                     return this.segmentIntersectsPolygon(segment, neighborhood);
                 }
                 return false;
-            }
+            },
+            { gate: 'neighborhoods', reason: 'outside the selected neighborhoods' }
         );
     }
 
@@ -1097,8 +3421,9 @@ class AnalysisEngine {
         if (allowedCategories.length === 0) {
             console.log('No zoning categories selected - excluding all segments');
             // If no categories allowed, exclude all segments
+            this.gatesApplied.push('zoning');
             this.segments.forEach(segment => {
-                if (segment.eligible) segment.eligible = false;
+                this.excludeSegment(segment, 'zoning', 'no zoning categories allowed');
             });
             return;
         }
@@ -1114,7 +3439,8 @@ class AnalysisEngine {
                     return this.segmentIntersectsPolygon(segment, zoningPolygon);
                 }
                 return false;
-            }
+            },
+            { gate: 'zoning', reason: `outside allowed zoning (${allowedCategories.join(', ')})` }
         );
     }
 
@@ -1155,66 +3481,28 @@ class AnalysisEngine {
         const ageThreshold = this.config.requirements.bridgeAge.threshold || 80;
 
         if (!this.datasets.has('bridges')) {
-            console.warn('Bridges dataset not available for bridge condition filtering');
+            this.skipGate('bridgeAge', 'bridges dataset not loaded');
             return;
         }
 
         console.log(`Applying bridge condition gate (max age: ${ageThreshold} years)`);
 
+        this.gatesApplied.push('bridgeAge');
+
         let excludedCount = 0;
 
         for (const segment of this.segments) {
-            if (!segment.eligible) continue;
-
-            // Use the proper proximity calculation to get distance to nearest bridge
-            const nearestBridgeDistance = this.getNearestPointDistance(segment, 'bridges');
-
-            if (nearestBridgeDistance === Infinity) {
-                // No bridges found, segment remains eligible
-                continue;
-            }
-
-            // Find the age of the nearest bridge
-            const bridges = this.datasets.get('bridges');
-            let nearestBridgeAge = null;
-            let shortestDistance = Infinity;
-
-            for (const bridge of bridges.features) {
-                if (bridge.geometry.type !== 'Point') continue;
-
+            // Find the nearest bridge with a known age (bridges with unknown age don't exclude segments)
+            const { feature: nearestBridge } = this.findNearestPoint(segment, 'bridges', bridge => {
                 const bridgeAge = bridge.properties.age;
-
-                // Skip bridges with unknown age (they don't exclude segments)
-                if (bridgeAge === null || bridgeAge === undefined || isNaN(bridgeAge)) {
-                    continue;
-                }
-
-                // Calculate distance to this specific bridge
-                let distance;
-                try {
-                    if (turf.booleanPointInPolygon(bridge, segment.geometry)) {
-                        distance = 0;
-                    } else {
-                        const segBoundary = turf.polygonToLine(segment.geometry);
-                        const nearestOnSeg = turf.nearestPointOnLine(segBoundary, bridge);
-                        distance = turf.distance(nearestOnSeg, bridge, { units: 'miles' });
-                    }
-                } catch (error) {
-                    const segmentCenter = turf.point(segment.properties.center);
-                    const featurePoint = turf.point(bridge.geometry.coordinates);
-                    distance = turf.distance(segmentCenter, featurePoint, { units: 'miles' });
-                }
-
-                // Track the age of the actual nearest bridge
-                if (distance < shortestDistance) {
-                    shortestDistance = distance;
-                    nearestBridgeAge = bridgeAge;
-                }
-            }
+                return !(bridgeAge === null || bridgeAge === undefined || isNaN(bridgeAge));
+            });
+            const nearestBridgeAge = nearestBridge ? nearestBridge.properties.age : null;
 
             // Exclude segment if nearest bridge exceeds age threshold
             if (nearestBridgeAge !== null && nearestBridgeAge > ageThreshold) {
-                segment.eligible = false;
+                this.excludeSegment(segment, 'bridgeAge',
+                    `nearest bridge ${Math.round(nearestBridgeAge)} years old > ${ageThreshold}`);
                 excludedCount++;
             }
         }
@@ -1223,222 +3511,414 @@ class AnalysisEngine {
     }
 
     /**
-     * Generic intersection filter: Apply filtering based on polygon intersection logic
-     * @param {string} datasetKey - Key of the dataset to check against
-     * @param {string} filterName - Human readable name for logging
-     * @param {Function} polygonTest - Function that takes (segment, polygon) and returns boolean if should include segment
+     * Apply Bridge Rating Gate: Exclude segments whose nearest bridge fails any enabled NBI criterion -
+     * a component rated below minRating, an inspection older than maxInspectionAge years, or NHS status
      */
-    applyPolygonIntersectionFilter(datasetKey, filterName, polygonTest) {
-        if (!this.datasets.has(datasetKey)) {
-            console.warn(`${filterName} dataset not available for filtering`);
+    applyBridgeRatingGate() {
+        const { minRating = null, maxInspectionAge = null, nhs = 'any' } = this.config.requirements.bridgeCondition;
+
+        if (!this.getSpatialIndex('bridges')) {
+            this.skipGate('bridgeCondition', 'bridges dataset not loaded');
             return;
         }
 
-        const dataset = this.datasets.get(datasetKey);
-        console.log(`Applying ${filterName}`);
+        console.log(`Applying bridge rating gate (min rating: ${minRating ?? 'any'}, inspected within: ${maxInspectionAge ?? 'any'} years, NHS: ${nhs})`);
+        this.gatesApplied.push('bridgeCondition');
 
+        const currentYear = new Date().getFullYear();
         let excludedCount = 0;
+
         for (const segment of this.segments) {
-            if (!segment.eligible) continue;
+            const { feature: nearestBridge } = this.findNearestPoint(segment, 'bridges');
+            if (!nearestBridge) continue;
 
-            let shouldInclude = false;
+            const reasons = [];
 
-            // Check if segment meets criteria with any polygon in the dataset
-            for (const polygon of dataset.features) {
-                if (polygonTest(segment, polygon)) {
-                    shouldInclude = true;
-                    break;
+            if (minRating !== null) {
+                const failing = Object.entries(this.getBridgeComponentRatings(nearestBridge))
+                    .filter(([, rating]) => rating < minRating)
+                    .map(([component, rating]) => `${component} rated ${rating}`);
+                if (failing.length > 0) {
+                    reasons.push(`nearest bridge ${failing.join(', ')} < ${minRating}`);
                 }
             }
 
-            // Exclude segment if it doesn't meet criteria
-            if (!shouldInclude) {
-                segment.eligible = false;
+            if (maxInspectionAge !== null) {
+                const inspected = parseInt(nearestBridge.properties.inspection);
+                if (!(inspected > 0) || currentYear - inspected > maxInspectionAge) {
+                    reasons.push(inspected > 0
+                        ? `nearest bridge last inspected ${inspected} (over ${maxInspectionAge} years ago)`
+                        : 'nearest bridge has no inspection year');
+                }
+            }
+
+            if (nhs !== 'any') {
+                const onNhs = String(nearestBridge.properties.is_nhs) === '1';
+                if (nhs === 'nhs' && !onNhs) reasons.push('nearest bridge not on the National Highway System');
+                if (nhs === 'non-nhs' && onNhs) reasons.push('nearest bridge on the National Highway System');
+            }
+
+            if (reasons.length > 0) {
+                this.excludeSegment(segment, 'bridgeCondition', reasons.join('; '));
                 excludedCount++;
             }
         }
 
-        console.log(`${filterName} excluded ${excludedCount} segments`);
+        console.log(`Bridge rating gate excluded ${excludedCount} segments`);
     }
 
     /**
-     * Helper: Check if segment intersects with polygon (with fallback)
+     * Apply Custom Rules: user-built gates from state.requirements.customRules. Each rule passes when some
+     * feature of its dataset meets the spatial predicate and the attribute comparison (negate flips it).
+     * Rules combine within a group by the group's combinator, and groups by the top-level combinator.
      */
-    segmentIntersectsPolygon(segment, polygon) {
-        try {
-            return turf.booleanIntersects(segment.geometry, polygon);
-        } catch (error) {
-            // Fallback to point-in-polygon check using segment center
-            const segmentCenter = turf.point(segment.properties.center);
-            return turf.booleanPointInPolygon(segmentCenter, polygon);
+    applyCustomRules() {
+        const { combinator = 'and', groups = [] } = this.config.requirements.customRules;
+
+        // Rules on datasets that didn't load can't be evaluated - skip them rather than excluding everything
+        const activeGroups = groups
+            .map(group => ({
+                ...group,
+                rules: (group.rules || []).filter(rule => {
+                    if (this.getSpatialIndex(rule.dataset)) return true;
+                    console.warn(`Custom rule dataset ${rule.dataset} not available - skipping rule`);
+                    return false;
+                })
+            }))
+            .filter(group => group.rules.length > 0);
+
+        if (activeGroups.length === 0) {
+            console.log('No custom rules to apply');
+            return;
         }
-    }
 
-    calculateFinalScores() {
-        const eligibleSegments = this.segments.filter(s => s.eligible);
-        const results = [];
+        console.log(`Applying ${activeGroups.length} custom rule groups (${combinator})`);
+        this.gatesApplied.push('customRules');
 
-        for (const segment of eligibleSegments) {
-            let weightedSum = 0;
-            let totalWeight = 0;
+        let excludedCount = 0;
+        for (const segment of this.segments) {
+            const failures = [];
+            const groupResults = activeGroups.map(group => {
+                const failed = group.rules.filter(rule => !this.evaluateCustomRule(segment, rule));
+                const passed = group.combinator === 'or'
+                    ? failed.length < group.rules.length
+                    : failed.length === 0;
+
+                if (!passed) {
+                    failures.push(group.combinator === 'or'
+                        ? `none of ${failed.map(rule => `"${this.describeCustomRule(rule)}"`).join(' / ')}`
+                        : failed.map(rule => `fails "${this.describeCustomRule(rule)}"`).join('; '));
+                }
+                return passed;
+            });
 
-            // CTA Stations
-            if (segment.scores.ctaStations !== undefined) {
-                const weight = this.config.features.ctaStations.weight;
-                weightedSum += segment.scores.ctaStations * weight;
-                totalWeight += weight;
+            const passed = combinator === 'or' ? groupResults.some(Boolean) : groupResults.every(Boolean);
+            if (!passed) {
+                this.excludeSegment(segment, 'customRules', failures.join('; '));
+                excludedCount++;
             }
+        }
 
-            // Metra Stations
-            if (segment.scores.metraStations !== undefined) {
-                const weight = this.config.features.metraStations.weight;
-                weightedSum += segment.scores.metraStations * weight;
-                totalWeight += weight;
-            }
+        console.log(`Custom rules excluded ${excludedCount} segments`);
+    }
 
-            // Amtrak Stations
-            if (segment.scores.amtrakStations !== undefined) {
-                const weight = this.config.features.amtrakStations.weight;
-                weightedSum += segment.scores.amtrakStations * weight;
-                totalWeight += weight;
-            }
+    /**
+     * @param {Object} segment - Segment object
+     * @param {Object} rule - { dataset, predicate: 'intersects'|'within'|'contains', distanceFt, field, operator, value, negate }
+     *   intersects - a feature touches the segment
+     *   within     - a feature is within distanceFt of the segment
+     *   contains   - a polygon feature contains the segment center (e.g. "the containing block group")
+     * @returns {boolean} Whether the segment satisfies the rule
+     */
+    evaluateCustomRule(segment, rule) {
+        const index = this.getSpatialIndex(rule.dataset);
+        const distanceMiles = rule.predicate === 'within' ? (rule.distanceFt || 0) / 5280 : 0;
 
-            // Parks
-            if (segment.scores.parks !== undefined) {
-                const weight = this.config.features.parks.weight;
-                weightedSum += segment.scores.parks * weight;
-                totalWeight += weight;
-            }
+        // Grow the segment bbox by the search distance so the grid only returns candidates
+        const [minX, minY, maxX, maxY] = this.getSegmentBbox(segment);
+        const padLat = distanceMiles / MILES_PER_DEGREE;
+        const padLon = padLat / Math.cos(((minY + maxY) / 2) * Math.PI / 180);
+        const candidates = index.query([minX - padLon, minY - padLat, maxX + padLon, maxY + padLat]);
 
-            // Public Schools
-            if (segment.scores.publicSchools !== undefined) {
-                const weight = this.config.features.publicSchools.weight;
-                weightedSum += segment.scores.publicSchools * weight;
-                totalWeight += weight;
-            }
+        const segmentCenter = turf.point(segment.properties.center);
+        const matches = candidates.some(({ feature }) => {
+            if (!feature.geometry || !this.matchesAttributeRule(feature, rule)) return false;
 
-            // Private Schools
-            if (segment.scores.privateSchools !== undefined) {
-                const weight = this.config.features.privateSchools.weight;
-                weightedSum += segment.scores.privateSchools * weight;
-                totalWeight += weight;
-            }
+            try {
+                switch (rule.predicate) {
+                    case 'contains':
+                        return (feature.geometry.type === 'Polygon' || feature.geometry.type === 'MultiPolygon') &&
+                            turf.booleanPointInPolygon(segmentCenter, feature);
 
-            // Colleges
-            if (segment.scores.colleges !== undefined) {
-                const weight = this.config.features.colleges.weight;
-                weightedSum += segment.scores.colleges * weight;
-                totalWeight += weight;
-            }
+                    case 'within':
+                        return this.getFeatureDistanceToSegment(segment, feature, rule.dataset) <= distanceMiles;
 
-            // Hospitals
-            if (segment.scores.hospitals !== undefined) {
-                const weight = this.config.features.hospitals.weight;
-                weightedSum += segment.scores.hospitals * weight;
-                totalWeight += weight;
+                    default:
+                        return turf.booleanIntersects(feature, segment.geometry);
+                }
+            } catch (error) {
+                // Skip invalid geometries
+                return false;
             }
+        });
 
-            // Landmarks
-            if (segment.scores.landmarks !== undefined) {
-                const weight = this.config.features.landmarks.weight;
-                weightedSum += segment.scores.landmarks * weight;
-                totalWeight += weight;
-            }
+        return rule.negate ? !matches : matches;
+    }
 
-            // Stadiums
-            if (segment.scores.stadiums !== undefined) {
-                const weight = this.config.features.stadiums.weight;
-                weightedSum += segment.scores.stadiums * weight;
-                totalWeight += weight;
-            }
+    /**
+     * Attribute comparison for a custom rule. Numbers compare numerically; date attributes compare by
+     * year against a 4-digit year ("expiration > 2035") or by date against another date; anything else
+     * compares as case-insensitive text. A rule without a field matches every feature.
+     */
+    matchesAttributeRule(feature, rule) {
+        if (!rule.field) return true;
+
+        const raw = feature.properties?.[rule.field];
+        if (raw === null || raw === undefined || raw === '') return false;
+
+        const operator = rule.operator || '=';
+        const expected = String(rule.value ?? '').trim();
+        const isNumber = value => /^-?\d+(\.\d+)?$/.test(String(value).trim());
+
+        let actual;
+        let target;
+        if (isNumber(raw) && isNumber(expected)) {
+            actual = parseFloat(raw);
+            target = parseFloat(expected);
+        } else if (!isNumber(raw) && !isNaN(Date.parse(raw)) && /^\d{4}$/.test(expected)) {
+            actual = new Date(Date.parse(raw)).getFullYear();
+            target = parseInt(expected);
+        } else if (!isNumber(raw) && !isNaN(Date.parse(raw)) && !isNaN(Date.parse(expected))) {
+            actual = Date.parse(raw);
+            target = Date.parse(expected);
+        } else {
+            actual = String(raw).toLowerCase();
+            target = expected.toLowerCase();
+        }
 
-            // SSA
-            if (segment.scores.ssa !== undefined) {
-                const weight = this.config.features.ssa.weight;
-                weightedSum += segment.scores.ssa * weight;
-                totalWeight += weight;
-            }
+        switch (operator) {
+            case '!=': return actual !== target;
+            case '>': return actual > target;
+            case '>=': return actual >= target;
+            case '<': return actual < target;
+            case '<=': return actual <= target;
+            case 'contains': return String(actual).includes(String(target));
+            default: return actual === target;
+        }
+    }
 
-            // TIF
-            if (segment.scores.tif !== undefined) {
-                const weight = this.config.features.tif.weight;
-                weightedSum += segment.scores.tif * weight;
-                totalWeight += weight;
-            }
+    /**
+     * Human readable rule, used in exclusion reasons, e.g. "not within 500 ft of landmarks"
+     */
+    describeCustomRule(rule) {
+        const predicates = {
+            intersects: `intersects ${rule.dataset}`,
+            within: `within ${rule.distanceFt || 0} ft of ${rule.dataset}`,
+            contains: `inside ${rule.dataset}`
+        };
+        const attribute = rule.field ? ` where ${rule.field} ${rule.operator || '='} ${rule.value}` : '';
+        return `${rule.negate ? 'not ' : ''}${predicates[rule.predicate] || predicates.intersects}${attribute}`;
+    }
 
-            // Medical District
-            if (segment.scores.medicalDistrict !== undefined) {
-                const weight = this.config.features.medicalDistrict.weight;
-                weightedSum += segment.scores.medicalDistrict * weight;
-                totalWeight += weight;
+    /**
+     * Distance from any feature to the segment outline (0 if they overlap)
+     * @returns {number} Distance in miles
+     */
+    getFeatureDistanceToSegment(segment, feature, datasetKey) {
+        switch (feature.geometry.type) {
+            case 'Point':
+                return this.getPointDistanceToSegment(segment, feature, datasetKey);
+
+            case 'LineString':
+            case 'MultiLineString': {
+                if (turf.booleanIntersects(feature, segment.geometry)) return 0;
+
+                // Closest approach is at a line vertex or a segment corner
+                const boundary = this.getSegmentBoundary(segment);
+                let min = Infinity;
+                for (const line of this.toLineStrings(feature)) {
+                    for (const coord of line.geometry.coordinates) {
+                        min = Math.min(min, turf.pointToLineDistance(turf.point(coord), boundary, { units: 'miles' }));
+                    }
+                }
+                for (const coord of segment.geometry.geometry.coordinates[0]) {
+                    min = Math.min(min, this.minPointToAnyLineMiles(turf.point(coord), feature));
+                }
+                return this.applyDistanceMode(segment, feature, min);
             }
 
-            // Neighborhood Center
-            if (segment.scores.neighborhoodCenter !== undefined) {
-                const weight = this.config.features.neighborhoodCenter.weight;
-                weightedSum += segment.scores.neighborhoodCenter * weight;
-                totalWeight += weight;
-            }
+            default:
+                return this.getPolygonDistanceToSegment(segment, feature, datasetKey);
+        }
+    }
 
-            // Bridges
-            if (segment.scores.bridges !== undefined) {
-                const weight = this.config.features.bridges.weight;
-                weightedSum += segment.scores.bridges * weight;
-                totalWeight += weight;
-            }
+    /**
+     * Generic intersection filter: Apply filtering based on polygon intersection logic
+     * @param {string} datasetKey - Key of the dataset to check against
+     * @param {string} filterName - Human readable name for logging
+     * @param {Function} polygonTest - Function that takes (segment, polygon) and returns boolean if should include segment.
+     *                                 Only polygons whose bounding box overlaps the segment are tested, so the test must imply intersection.
+     * @param {Object} exclusion - { gate, reason } recorded on each segment the filter excludes
+     */
+    applyPolygonIntersectionFilter(datasetKey, filterName, polygonTest, exclusion) {
+        const index = this.getSpatialIndex(datasetKey);
+        if (!index) {
+            this.skipGate(exclusion.gate, 'dataset not loaded');
+            return;
+        }
 
-            // ADI of Block Group
-            if (segment.scores.adi !== undefined) {
-                const weight = this.config.features.adi.weight;
-                weightedSum += segment.scores.adi * weight;
-                totalWeight += weight;
-            }
+        console.log(`Applying ${filterName}`);
+        this.gatesApplied.push(exclusion.gate);
 
-            // Crash Frequency
-            if (segment.scores.crashes !== undefined) {
-                const weight = this.config.features.crashes.weight;
-                weightedSum += segment.scores.crashes * weight;
-                totalWeight += weight;
-            }
+        let excludedCount = 0;
+        for (const segment of this.segments) {
+            let shouldInclude = false;
 
-            // Transit Stop Density
-            if (segment.scores.transitDensity !== undefined) {
-                const weight = this.config.features.transitDensity.weight;
-                weightedSum += segment.scores.transitDensity * weight;
-                totalWeight += weight;
+            // Check if segment meets criteria with any nearby polygon in the dataset
+            for (const { feature: polygon } of index.query(this.getSegmentBbox(segment))) {
+                if (polygonTest(segment, polygon)) {
+                    shouldInclude = true;
+                    break;
+                }
             }
 
-            // Bike Network Connectivity
-            if (segment.scores.bikeNetwork !== undefined) {
-                const weight = this.config.features.bikeNetwork.weight;
-                weightedSum += segment.scores.bikeNetwork * weight;
-                totalWeight += weight;
+            // Exclude segment if it doesn't meet criteria
+            if (!shouldInclude) {
+                this.excludeSegment(segment, exclusion.gate, exclusion.reason);
+                excludedCount++;
             }
+        }
+
+        console.log(`${filterName} excluded ${excludedCount} segments`);
+    }
 
+    /**
+     * Mark a segment ineligible and record why, for the exclusion audit trail
+     * @param {Object} segment - Segment object
+     * @param {string} gate - Key in GATE_LABELS
+     * @param {string} reason - Human readable reason, e.g. "nearest bridge 93 years old > 75"
+     */
+    excludeSegment(segment, gate, reason) {
+        segment.eligible = false;
+        segment.exclusions = segment.exclusions || [];
+        segment.exclusions.push({ gate, label: GATE_LABELS[gate], reason });
+    }
 
-            // Calculate final score (0-100)
-            const finalScore = totalWeight > 0 ? (weightedSum / totalWeight) * 10 : 0;
+    /**
+     * Cap deck dimensions reported alongside a segment's length
+     */
+    getDeckProperties(segment) {
+        const { width_ft, width_source, deck_area_sqft } = segment.properties;
+        return { width_ft, width_source, deck_area_sqft, deck_area_acres: deck_area_sqft / SQ_FT_PER_ACRE };
+    }
 
-            results.push({
+    /**
+     * Segments removed by requirement gates, with every reason they were excluded
+     */
+    getExcludedSegments() {
+        return this.segments
+            .filter(segment => !segment.eligible)
+            .map(segment => ({
                 id: segment.id,
-                score: finalScore,
                 freeway: segment.properties.freeway,
                 length_ft: segment.properties.length_ft,
+                ...this.getDeckProperties(segment),
                 center: segment.properties.center,
                 geometry: segment.geometry,
-                featureScores: { ...segment.scores }
-            });
+                exclusions: segment.exclusions || []
+            }));
+    }
+
+    /**
+     * Record an enabled gate that couldn't run, for the exclusion summary
+     */
+    skipGate(gate, reason) {
+        console.warn(`Skipping ${GATE_LABELS[gate]}: ${reason}`);
+        this.gatesSkipped.push({ gate, reason });
+    }
+
+    /**
+     * How many segments each applied gate removed. Segments can fail several gates, so "only" counts the
+     * segments that this gate alone excluded (relaxing it would bring them back). Enabled gates that
+     * couldn't run follow, with skipped set to the reason.
+     * @returns {Array} [{ gate, label, excluded, only, skipped }] in the order the gates ran
+     */
+    getExclusionSummary() {
+        const summary = (this.gatesApplied || []).map(gate => ({ gate, label: GATE_LABELS[gate], excluded: 0, only: 0, skipped: null }));
+
+        for (const segment of this.segments) {
+            const gates = new Set((segment.exclusions || []).map(exclusion => exclusion.gate));
+            for (const entry of summary) {
+                if (!gates.has(entry.gate)) continue;
+                entry.excluded++;
+                if (gates.size === 1) entry.only++;
+            }
         }
 
-        // Sort by score (highest first)
-        results.sort((a, b) => b.score - a.score);
+        const skipped = (this.gatesSkipped || []).map(({ gate, reason }) =>
+            ({ gate, label: GATE_LABELS[gate], excluded: 0, only: 0, skipped: reason }));
+        return [...summary, ...skipped];
+    }
 
-        // Add rank
-        results.forEach((result, index) => {
-            result.rank = index + 1;
-        });
+    /**
+     * Helper: Check if segment intersects with polygon (with fallback)
+     */
+    segmentIntersectsPolygon(segment, polygon) {
+        try {
+            return turf.booleanIntersects(segment.geometry, polygon);
+        } catch (error) {
+            // Fallback to point-in-polygon check using segment center
+            const segmentCenter = turf.point(segment.properties.center);
+            return turf.booleanPointInPolygon(segmentCenter, polygon);
+        }
+    }
 
-        return results;
+    calculateFinalScores() {
+        const eligibleSegments = this.segments.filter(s => s.eligible);
+
+        const results = eligibleSegments.map(segment => ({
+            id: segment.id,
+            freeway: segment.properties.freeway,
+            length_ft: segment.properties.length_ft,
+            ...this.getDeckProperties(segment),
+            center: segment.properties.center,
+            geometry: segment.geometry,
+            // Extent along the stitched route, for joining adjacent segments into longer caps
+            route: {
+                id: segment.route.id,
+                label: segment.route.label,
+                direction: segment.route.direction,
+                startFt: segment.route.startKm * 3280.84,
+                endFt: segment.route.endKm * 3280.84
+            },
+            featureScores: { ...segment.scores },
+            blockGroupSides: this.getBlockGroupSides(segment),
+            neighborhoodSplits: this.getNeighborhoodSplits(segment),
+            neighborhoods: this.getSegmentNeighborhoods(segment),
+            crossStreets: this.getCrossStreets(segment),
+            crossingGaps: this.getCrossingGaps(segment),
+            detour: this.getDetourAnalysis(segment)
+        }));
+
+        // Every sliding window is returned too, so the main thread can dedupe again when weights change
+        this.candidateWindows = this.getSlidingStepFt() !== null ? results : null;
+
+        // Weighting and ranking is shared with the main thread (js/scoring.js)
+        return new ScoreCalculator(this.config.features).rankSegments(results, this.candidateWindows !== null);
+    }
+
+    /**
+     * How the routes were cut into candidates, for the methodology view
+     * @returns {Object} { mode: 'tiled' | 'sliding', lengthFt, stepFt, windows }
+     */
+    getSegmentationUsed() {
+        const stepFt = this.getSlidingStepFt();
+        return {
+            mode: stepFt ? 'sliding' : 'tiled',
+            lengthFt: this.config.segmentLength,
+            stepFt,
+            windows: this.candidateWindows ? this.candidateWindows.length : null
+        };
     }
 
     getRandomFeatureCoordinates(minCount, maxCount) {
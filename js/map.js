@@ -9,6 +9,7 @@ class MapComponent {
         this.currentPitch = 45;
         this.currentBearing = -17.6;
         this.loadedLayers = new Set();
+        this.drawing = null; // Active polygon drawing session, if any
     }
 
     async init() {
@@ -99,6 +100,9 @@ class MapComponent {
     }
 
     handleMapClick(e) {
+        // Clicks add vertices while drawing a polygon - no popups
+        if (this.drawing) return;
+
         // Query features at click point, but only from our loaded layers
         const features = this.map.queryRenderedFeatures(e.point, {
             layers: Array.from(this.loadedLayers)
@@ -115,6 +119,24 @@ class MapComponent {
         const properties = feature.properties;
         let content = `<div class="popup-header">${feature.layer.id}</div>`;
 
+        // Excluded analysis segments explain which requirement gates removed them
+        if (feature.layer.id === 'excluded-segments' || feature.layer.id === 'excluded-segments-stroke') {
+            content = `
+                <div class="popup-header">Excluded ${properties.freeway} Segment</div>
+                ${String(properties.reasons).split('\n').map(reason => `
+                    <div class="popup-property">
+                        <span class="popup-property-value">${reason}</span>
+                    </div>
+                `).join('')}
+            `;
+
+            new mapboxgl.Popup()
+                .setLngLat(lngLat)
+                .setHTML(content)
+                .addTo(this.map);
+            return;
+        }
+
         // Display properties in a clean format
         Object.keys(properties).forEach(key => {
             if (properties[key] !== null && properties[key] !== undefined) {
@@ -440,6 +462,249 @@ class MapComponent {
         }
     }
 
+    updateLayerData(layerId, data) {
+        try {
+            const source = this.map.getSource(layerId);
+            if (source) {
+                source.setData(data);
+            }
+        } catch (error) {
+            console.error(`❌ Failed to update layer data ${layerId}:`, error);
+        }
+    }
+
+    // Corridor buffer (Explore) - replaces the data in place once the layer exists
+    updateCorridorBuffer(bufferData, visible) {
+        try {
+            if (this.map.getSource('corridor-buffer')) {
+                this.updateLayerData('corridor-buffer', bufferData);
+            } else {
+                this.addDataLayer({
+                    id: 'corridor-buffer',
+                    data: bufferData,
+                    geometryType: 'Polygon',
+                    style: {
+                        fillColor: '#f59e0b',
+                        fillOpacity: 0.15,
+                        strokeColor: '#d97706',
+                        strokeWidth: 1.5
+                    }
+                });
+            }
+
+            this.toggleLayerVisibility('corridor-buffer', visible);
+        } catch (error) {
+            console.error('❌ Failed to update corridor buffer:', error);
+        }
+    }
+
+    // Segments removed by requirement gates, drawn greyed-out under the ranked segments
+    showExcludedSegments(data) {
+        if (this.map.getSource('excluded-segments')) {
+            this.updateLayerData('excluded-segments', data);
+            return;
+        }
+
+        this.addDataLayer({
+            id: 'excluded-segments',
+            data,
+            geometryType: 'Polygon',
+            style: {
+                fillColor: '#9ca3af',
+                fillOpacity: 0.6,
+                strokeColor: '#6b7280',
+                strokeWidth: 6,
+                strokeOpacity: 0.6
+            }
+        });
+    }
+
+    // Drawn study area outline (pass null to clear)
+    showStudyArea(polygon) {
+        const data = {
+            type: 'FeatureCollection',
+            features: polygon ? [polygon] : []
+        };
+
+        if (this.map.getSource('study-area')) {
+            this.updateLayerData('study-area', data);
+            return;
+        }
+
+        this.addDataLayer({
+            id: 'study-area',
+            data,
+            geometryType: 'Polygon',
+            style: {
+                fillColor: '#6366f1',
+                fillOpacity: 0.1,
+                strokeColor: '#4f46e5',
+                strokeWidth: 2
+            }
+        });
+    }
+
+    // Area a cap would newly bring within a 10-minute walk of the selected segment (pass null to clear)
+    showWalkshed(polygon) {
+        const data = {
+            type: 'FeatureCollection',
+            features: polygon ? [polygon] : []
+        };
+
+        if (this.map.getSource('segment-walkshed')) {
+            this.updateLayerData('segment-walkshed', data);
+            return;
+        }
+
+        this.addDataLayer({
+            id: 'segment-walkshed',
+            data,
+            geometryType: 'Polygon',
+            style: {
+                fillColor: '#e67e22',
+                fillOpacity: 0.15,
+                strokeColor: '#d35400',
+                strokeWidth: 2
+            }
+        });
+    }
+
+    // Merged polygons of the cap stretch candidates (pass an empty array to clear)
+    showCapStretches(features) {
+        const data = {
+            type: 'FeatureCollection',
+            features
+        };
+
+        if (this.map.getSource('cap-stretches')) {
+            this.updateLayerData('cap-stretches', data);
+            return;
+        }
+        if (features.length === 0) return;
+
+        this.addDataLayer({
+            id: 'cap-stretches',
+            data,
+            geometryType: 'Polygon',
+            style: {
+                fillColor: '#2563eb',
+                fillOpacity: 0.5,
+                strokeColor: '#1d4ed8',
+                strokeWidth: 4
+            }
+        });
+    }
+
+    /**
+     * Let the user draw a polygon on the map: click to add vertices, double-click or Enter to finish,
+     * Escape to cancel.
+     * @returns {Promise<Object|null>} GeoJSON Polygon feature, or null if cancelled
+     */
+    startPolygonDrawing() {
+        // Only one drawing session at a time
+        if (this.drawing) {
+            this.drawing.finish(false);
+        }
+
+        return new Promise((resolve) => {
+            const vertices = [];
+            const canvas = this.map.getCanvas();
+
+            if (!this.map.getSource('polygon-draft')) {
+                this.map.addSource('polygon-draft', {
+                    type: 'geojson',
+                    data: { type: 'FeatureCollection', features: [] }
+                });
+                this.map.addLayer({
+                    id: 'polygon-draft-fill',
+                    type: 'fill',
+                    source: 'polygon-draft',
+                    filter: ['==', ['geometry-type'], 'Polygon'],
+                    paint: { 'fill-color': '#6366f1', 'fill-opacity': 0.15 }
+                });
+                this.map.addLayer({
+                    id: 'polygon-draft-line',
+                    type: 'line',
+                    source: 'polygon-draft',
+                    filter: ['!=', ['geometry-type'], 'Point'],
+                    paint: { 'line-color': '#4f46e5', 'line-width': 2, 'line-dasharray': [2, 1] }
+                });
+                this.map.addLayer({
+                    id: 'polygon-draft-vertices',
+                    type: 'circle',
+                    source: 'polygon-draft',
+                    filter: ['==', ['geometry-type'], 'Point'],
+                    paint: { 'circle-radius': 4, 'circle-color': '#ffffff', 'circle-stroke-color': '#4f46e5', 'circle-stroke-width': 2 }
+                });
+            }
+
+            const renderDraft = (cursor = null) => {
+                const coords = cursor ? [...vertices, cursor] : vertices;
+                const features = coords.map(coord => turf.point(coord));
+
+                if (coords.length >= 3) {
+                    features.push(turf.polygon([[...coords, coords[0]]]));
+                } else if (coords.length === 2) {
+                    features.push(turf.lineString(coords));
+                }
+
+                this.map.getSource('polygon-draft').setData({ type: 'FeatureCollection', features });
+            };
+
+            const onClick = (e) => {
+                const coord = [e.lngLat.lng, e.lngLat.lat];
+                const last = vertices[vertices.length - 1];
+
+                // The second click of a double-click lands on the same spot - don't add it twice
+                if (last && this.map.project(last).dist(e.point) < 3) return;
+
+                vertices.push(coord);
+                renderDraft();
+            };
+
+            const onMouseMove = (e) => {
+                if (vertices.length > 0) {
+                    renderDraft([e.lngLat.lng, e.lngLat.lat]);
+                }
+            };
+
+            const onDoubleClick = (e) => {
+                e.preventDefault();
+                finish(vertices.length >= 3);
+            };
+
+            const onKeyDown = (e) => {
+                if (e.key === 'Escape') {
+                    finish(false);
+                } else if (e.key === 'Enter') {
+                    finish(vertices.length >= 3);
+                }
+            };
+
+            const finish = (complete) => {
+                this.map.off('click', onClick);
+                this.map.off('mousemove', onMouseMove);
+                this.map.off('dblclick', onDoubleClick);
+                document.removeEventListener('keydown', onKeyDown);
+                this.map.doubleClickZoom.enable();
+                canvas.style.cursor = '';
+                this.map.getSource('polygon-draft').setData({ type: 'FeatureCollection', features: [] });
+                this.drawing = null;
+
+                resolve(complete ? turf.polygon([[...vertices, vertices[0]]]) : null);
+            };
+
+            this.map.on('click', onClick);
+            this.map.on('mousemove', onMouseMove);
+            this.map.on('dblclick', onDoubleClick);
+            document.addEventListener('keydown', onKeyDown);
+            this.map.doubleClickZoom.disable();
+            canvas.style.cursor = 'crosshair';
+
+            this.drawing = { finish };
+        });
+    }
+
     toggleLayerVisibility(layerId, visible) {
         try {
             const visibility = visible ? 'visible' : 'none';
@@ -540,29 +805,10 @@ class MapComponent {
                 this.minimap.on('load', resolve);
             });
 
-            // Create GeoJSON features from all segments with score-based colors
-            const allSegmentsFeatures = allSegments.map(segment => {
-                // segment.geometry is already a Turf polygon, extract the geometry part
-                const geom = segment.geometry.geometry ? segment.geometry.geometry : segment.geometry;
-
-                return {
-                    type: 'Feature',
-                    properties: {
-                        id: segment.id,
-                        score: segment.score,
-                        scoreColor: this.getScoreColorForMinimap(segment.score)
-                    },
-                    geometry: geom
-                };
-            });
-
             // Add source with all segments
             this.minimap.addSource('minimap-segments', {
                 type: 'geojson',
-                data: {
-                    type: 'FeatureCollection',
-                    features: allSegmentsFeatures
-                }
+                data: this.buildMinimapSegmentsData(allSegments)
             });
 
             // Add layer for all segments with score-based heatmap colors (no borders, seamless)
@@ -621,6 +867,39 @@ class MapComponent {
         }
     }
 
+    buildMinimapSegmentsData(allSegments) {
+        // Create GeoJSON features from all segments with score-based colors
+        return {
+            type: 'FeatureCollection',
+            features: allSegments.map(segment => {
+                // segment.geometry is already a Turf polygon, extract the geometry part
+                const geom = segment.geometry.geometry ? segment.geometry.geometry : segment.geometry;
+
+                return {
+                    type: 'Feature',
+                    properties: {
+                        id: segment.id,
+                        score: segment.score,
+                        scoreColor: this.getScoreColorForMinimap(segment.score)
+                    },
+                    geometry: geom
+                };
+            })
+        };
+    }
+
+    updateMinimapSegments(allSegments) {
+        if (!this.minimap || !this.minimap.getSource('minimap-segments')) {
+            return;
+        }
+
+        try {
+            this.minimap.getSource('minimap-segments').setData(this.buildMinimapSegmentsData(allSegments));
+        } catch (error) {
+            console.error('❌ Failed to update minimap segments:', error);
+        }
+    }
+
     updateMinimapHighlight(selectedSegment) {
         if (!this.minimap || !selectedSegment) {
             return;
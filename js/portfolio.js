@@ -0,0 +1,280 @@
+// Portfolio Optimizer - Picks the set of cap stretches with the highest total score under a budget,
+// a maximum count, a minimum spacing between caps and optional per-corridor or per-neighborhood coverage
+
+// Branch-and-bound gives up (keeping the best set found so far) after visiting this many partial sets
+const MAX_SEARCH_NODES = 20000;
+// Spacing relaxation step for the marginal value report
+const SPACING_RELAXATION = 0.75;
+const FEET_PER_DEGREE_LAT = 364567; // cap centers are compared on a local equirectangular projection
+
+class PortfolioOptimizer {
+    /**
+     * @param {Array} candidates - Cap windows from ScoreCalculator.getCapWindows (may overlap)
+     * @param {Object} settings - Portfolio settings from StateManager:
+     *   budgetType - 'length' (total feet of cap) or 'cost' (total estimated cost at costPerFoot)
+     *   budget - Total budget in feet, or millions of dollars
+     *   costPerFoot - Estimated construction cost per linear foot of cap
+     *   maxCount - Maximum number of caps
+     *   minSpacingFt - Minimum distance between any two caps
+     *   coverage - 'none', 'corridor' (at least one cap per freeway) or 'neighborhood' (at least one cap
+     *     serving each of coverageNeighborhoods, or each neighborhood any candidate serves if that's empty)
+     * @param {number} routeToleranceFt - Rounding allowance on route stations, as used to build the candidates
+     */
+    constructor(candidates, settings, routeToleranceFt = 0) {
+        this.candidates = [...candidates].sort((a, b) => b.score - a.score);
+        this.settings = settings;
+        this.routeToleranceFt = routeToleranceFt;
+
+        const latitude = this.candidates.length > 0 ? this.candidates[0].center[1] : 41.85;
+        this.feetPerDegreeLng = FEET_PER_DEGREE_LAT * Math.cos(latitude * Math.PI / 180);
+    }
+
+    /**
+     * Solve with the current settings, list the runners-up and how much the total score would grow
+     * if each constraint were relaxed by one step
+     * @returns {Object} { ...solution, runnersUp, relaxations: [{ constraint, label, totalScore, gain }] }
+     */
+    optimize() {
+        const solution = this.solve(this.settings);
+        const { budgetType, budget, maxCount, minSpacingFt, coverage } = this.settings;
+
+        // One more cap's worth of budget, one more cap, 25% less spacing, no coverage requirement
+        const capBudget = this.getBudgetUnits(this.candidates[0]?.length_ft || 0, budgetType);
+        const relaxations = [
+            { constraint: 'budget', label: `Budget +${this.formatBudget(capBudget)}`, settings: { budget: budget + capBudget } },
+            { constraint: 'maxCount', label: `Up to ${maxCount + 1} caps`, settings: { maxCount: maxCount + 1 } },
+            minSpacingFt > 0
+                ? { constraint: 'minSpacingFt', label: `Spacing ${Math.round(minSpacingFt * SPACING_RELAXATION).toLocaleString()} ft`,
+                    settings: { minSpacingFt: minSpacingFt * SPACING_RELAXATION } }
+                : null,
+            coverage !== 'none'
+                ? { constraint: 'coverage', label: `No ${coverage} coverage requirement`, settings: { coverage: 'none' } }
+                : null
+        ].filter(Boolean).map(({ constraint, label, settings }) => {
+            const relaxed = this.solve({ ...this.settings, ...settings });
+            return {
+                constraint,
+                label,
+                totalScore: relaxed.totalScore,
+                gain: relaxed.feasible && solution.feasible ? relaxed.totalScore - solution.totalScore : null
+            };
+        });
+
+        return {
+            ...solution,
+            runnersUp: this.getRunnersUp(solution.selected),
+            relaxations
+        };
+    }
+
+    /**
+     * Branch-and-bound over the candidates, best first. Choosing a cap blocks every candidate too close
+     * to it, and a partial set is abandoned once the best candidates still open can't lift it above the
+     * best complete set found.
+     * @param {Object} settings - Settings to solve with
+     * @returns {Object} { selected, totalScore, totalBudget, feasible, optimal, requiredGroups }
+     */
+    solve(settings) {
+        const { budgetType, budget, maxCount, minSpacingFt } = settings;
+        const candidates = this.candidates;
+        const costs = candidates.map(candidate => this.getBudgetUnits(candidate.length_ft, budgetType));
+        const minCost = Math.min(...costs);
+        const groups = candidates.map(candidate => this.getCoverageGroups(candidate, settings));
+        const requiredGroups = new Set(groups.flat());
+        const maxGroupsPerCap = Math.max(1, ...groups.map(candidateGroups => candidateGroups.length));
+        const conflicts = this.getConflicts(minSpacingFt);
+        const blocked = new Uint16Array(candidates.length);
+
+        let best = null;
+        let nodes = 0;
+        const chosen = [];
+
+        const search = (start, spent, score, covered) => {
+            if (covered.size === requiredGroups.size && (!best || score > best.score)) {
+                best = { indexes: [...chosen], score, spent };
+            }
+
+            const slots = Math.min(maxCount - chosen.length, Math.floor((budget - spent) / minCost));
+            if (slots <= 0 || ++nodes > MAX_SEARCH_NODES) return;
+
+            const missing = requiredGroups.size - covered.size;
+            const needed = Math.ceil(missing / maxGroupsPerCap);
+            if (needed > slots) return;
+            if (needed > 0) {
+                const bound = this.getCoverageBound(start, slots, needed, missing, groups, covered, blocked);
+                if (bound === -Infinity || (best && score + bound <= best.score)) return;
+            }
+
+            for (let i = start; i < candidates.length; i++) {
+                if (blocked[i] > 0 || spent + costs[i] > budget) continue;
+
+                // Candidates are sorted, so the next open ones are the most the remaining caps could add
+                if (best) {
+                    let bound = score;
+                    for (let j = i, taken = 0; j < candidates.length && taken < slots; j++) {
+                        if (blocked[j] === 0) {
+                            bound += candidates[j].score;
+                            taken++;
+                        }
+                    }
+                    if (bound <= best.score) break;
+                }
+
+                // Leave enough caps to cover the groups still missing
+                const newGroups = groups[i].filter(group => !covered.has(group));
+                if (Math.ceil((missing - newGroups.length) / maxGroupsPerCap) > slots - 1) continue;
+
+                chosen.push(i);
+                newGroups.forEach(group => covered.add(group));
+                conflicts[i].forEach(j => blocked[j]++);
+
+                search(i + 1, spent + costs[i], score + candidates[i].score, covered);
+
+                conflicts[i].forEach(j => blocked[j]--);
+                newGroups.forEach(group => covered.delete(group));
+                chosen.pop();
+                if (nodes > MAX_SEARCH_NODES) return;
+            }
+        };
+
+        search(0, 0, 0, new Set());
+
+        return {
+            selected: best ? best.indexes.map(i => candidates[i]) : [],
+            totalScore: best ? best.score : 0,
+            totalBudget: best ? best.spent : 0,
+            feasible: best !== null,
+            optimal: nodes <= MAX_SEARCH_NODES,
+            requiredGroups: [...requiredGroups].sort()
+        };
+    }
+
+    /**
+     * Candidates closer than the minimum spacing to each candidate, found through a grid of cap centers
+     * (caps that close have centers within the spacing plus the longest cap)
+     * @returns {Array<Array<number>>} Conflicting candidate indexes, per candidate
+     */
+    getConflicts(minSpacingFt) {
+        const candidates = this.candidates;
+        const cellFt = Math.max(1, minSpacingFt + Math.max(...candidates.map(candidate => candidate.length_ft)));
+        const cellOf = (candidate) => [
+            Math.floor(candidate.center[0] * this.feetPerDegreeLng / cellFt),
+            Math.floor(candidate.center[1] * FEET_PER_DEGREE_LAT / cellFt)
+        ];
+
+        const grid = new Map();
+        candidates.forEach((candidate, i) => {
+            const key = cellOf(candidate).join(',');
+            if (!grid.has(key)) grid.set(key, []);
+            grid.get(key).push(i);
+        });
+
+        return candidates.map((candidate, i) => {
+            const [x, y] = cellOf(candidate);
+            const conflicting = [];
+            for (let dx = -1; dx <= 1; dx++) {
+                for (let dy = -1; dy <= 1; dy++) {
+                    for (const j of grid.get(`${x + dx},${y + dy}`) || []) {
+                        if (j !== i && this.getSpacingFt(candidate, candidates[j]) < minSpacingFt) conflicting.push(j);
+                    }
+                }
+            }
+            return conflicting;
+        });
+    }
+
+    /**
+     * Upper bound on what the remaining caps can add when some must cover missing groups: each of the
+     * needed covering caps scores at most the best open candidate of a different missing group, and the
+     * rest at most the best open candidates
+     * @returns {number} Bound, or -Infinity if a missing group has no open candidate
+     */
+    getCoverageBound(start, slots, needed, missing, groups, covered, blocked) {
+        const open = [];
+        const groupBest = new Map();
+        for (let i = start; i < this.candidates.length; i++) {
+            if (blocked[i] > 0) continue;
+            const score = this.candidates[i].score;
+            if (open.length < slots) open.push(score);
+            for (const group of groups[i]) {
+                if (!covered.has(group) && !groupBest.has(group)) groupBest.set(group, score);
+            }
+        }
+        if (groupBest.size < missing) return -Infinity;
+
+        const covering = [...groupBest.values()].sort((a, b) => b - a).slice(0, needed);
+        return open.slice(0, slots - needed).reduce((sum, score) => sum + score, 0) +
+            covering.reduce((sum, score) => sum + score, 0);
+    }
+
+    /**
+     * Best candidates left out of the portfolio (not overlapping it or each other), with the constraint
+     * that kept each one out
+     * @returns {Array} [{ candidate, reason }]
+     */
+    getRunnersUp(selected) {
+        const { budgetType, budget, maxCount, minSpacingFt } = this.settings;
+        const spent = selected.reduce((sum, candidate) => sum + this.getBudgetUnits(candidate.length_ft, budgetType), 0);
+        const runnersUp = [];
+
+        for (const candidate of this.candidates) {
+            if (runnersUp.length >= maxCount) break;
+            if (selected.includes(candidate)) continue;
+            if ([...selected, ...runnersUp.map(runnerUp => runnerUp.candidate)]
+                .some(other => this.getSpacingFt(candidate, other) < 0)) continue;
+
+            const tooClose = selected.find(other => this.getSpacingFt(candidate, other) < minSpacingFt);
+            let reason;
+            if (tooClose) {
+                reason = `within ${Math.round(minSpacingFt).toLocaleString()} ft of cap #${selected.indexOf(tooClose) + 1}`;
+            } else if (spent + this.getBudgetUnits(candidate.length_ft, budgetType) > budget) {
+                reason = 'over budget';
+            } else if (selected.length >= maxCount) {
+                reason = 'cap count reached';
+            } else if (selected.length === 0) {
+                reason = 'no set meets every constraint';
+            } else {
+                reason = 'the chosen set scores higher in total';
+            }
+
+            runnersUp.push({ candidate, reason });
+        }
+
+        return runnersUp;
+    }
+
+    /**
+     * Gap between two caps in feet: along the route when they share one (negative if they overlap),
+     * otherwise between their centers less half of each cap's length
+     */
+    getSpacingFt(a, b) {
+        if (a.routeId === b.routeId) {
+            return Math.max(a.startFt - b.endFt, b.startFt - a.endFt) + this.routeToleranceFt;
+        }
+        const dx = (a.center[0] - b.center[0]) * this.feetPerDegreeLng;
+        const dy = (a.center[1] - b.center[1]) * FEET_PER_DEGREE_LAT;
+        return Math.hypot(dx, dy) - (a.length_ft + b.length_ft) / 2;
+    }
+
+    // Length in feet, or estimated cost in millions of dollars
+    getBudgetUnits(lengthFt, budgetType) {
+        return budgetType === 'cost' ? lengthFt * this.settings.costPerFoot / 1e6 : lengthFt;
+    }
+
+    formatBudget(units) {
+        return this.settings.budgetType === 'cost'
+            ? `$${units.toFixed(1)}M`
+            : `${Math.round(units).toLocaleString()} ft`;
+    }
+
+    getCoverageGroups(candidate, { coverage, coverageNeighborhoods = [] }) {
+        if (coverage === 'corridor') return [candidate.freeway];
+        if (coverage === 'neighborhood') {
+            const served = candidate.neighborhoods || [];
+            return coverageNeighborhoods.length > 0 ? served.filter(name => coverageNeighborhoods.includes(name)) : served;
+        }
+        return [];
+    }
+}
+
+export default PortfolioOptimizer;
@@ -0,0 +1,211 @@
+// Score Calculator - Combines raw per-feature scores (0-10) into weighted composite scores (0-100)
+// Loaded as a classic script by both the analysis worker (importScripts) and the page (<script>),
+// so rankings can be recomputed on the main thread when weights change without re-running the analysis
+
+// Route positions are recomputed from km, so allow for rounding when matching segment ends
+const ROUTE_TOLERANCE_FT = 1;
+
+class ScoreCalculator {
+    // Exposed for ES modules on the page, which can't see this script's top-level constants
+    static ROUTE_TOLERANCE_FT = ROUTE_TOLERANCE_FT;
+
+    /**
+     * @param {Object} features - Feature configuration from StateManager (weights, radii, directions)
+     */
+    constructor(features) {
+        this.features = features || {};
+    }
+
+    /**
+     * Weighted average of the raw feature scores, scaled to 0-100. Features without data (null) are
+     * left out, so the remaining weights are renormalized rather than counting missing data as 0.
+     * @param {Object} featureScores - Map of feature key -> raw score (0-10), or null when data is missing
+     * @returns {number} Composite score 0-100
+     */
+    calculateSegmentScore(featureScores) {
+        let weightedSum = 0;
+        let totalWeight = 0;
+
+        for (const [featureKey, score] of Object.entries(featureScores)) {
+            const weight = this.features[featureKey]?.weight || 0;
+            if (weight <= 0 || score === null || score === undefined) continue;
+
+            weightedSum += score * weight;
+            totalWeight += weight;
+        }
+
+        return totalWeight > 0 ? (weightedSum / totalWeight) * 10 : 0;
+    }
+
+    /**
+     * Weighted features a segment has no data for
+     * @param {Object} featureScores - Map of feature key -> raw score (0-10), or null when data is missing
+     * @returns {Array<string>} Feature keys
+     */
+    getMissingFeatures(featureScores) {
+        return Object.entries(featureScores)
+            .filter(([featureKey, score]) => score === null && (this.features[featureKey]?.weight || 0) > 0)
+            .map(([featureKey]) => featureKey);
+    }
+
+    /**
+     * Score and rank segments with the current weights
+     * @param {Array} segments - Result segments carrying featureScores
+     * @param {boolean} dedupeOverlaps - Keep only the best of segments that overlap along a route
+     *   (sliding windows), so each stretch of freeway is ranked once
+     * @returns {Array} New segment objects with score and rank, sorted highest first
+     */
+    rankSegments(segments, dedupeOverlaps = false) {
+        let ranked = segments.map(segment => ({
+            ...segment,
+            score: this.calculateSegmentScore(segment.featureScores)
+        }));
+
+        // Sort by score (highest first)
+        ranked.sort((a, b) => b.score - a.score);
+
+        if (dedupeOverlaps) {
+            ranked = this.selectNonOverlapping(ranked);
+        }
+
+        // Add rank
+        ranked.forEach((segment, index) => {
+            segment.rank = index + 1;
+        });
+
+        return ranked;
+    }
+
+    /**
+     * Greedily keep segments that don't share any stretch of route with a better one
+     * @param {Array} ranked - Segments sorted best first, carrying route { id, startFt, endFt }
+     * @returns {Array} Kept segments, in the same order
+     */
+    selectNonOverlapping(ranked) {
+        const keptByRoute = new Map();
+
+        return ranked.filter(segment => {
+            if (!segment.route) return true;
+
+            const kept = keptByRoute.get(segment.route.id) || [];
+            const { startFt, endFt } = segment.route;
+            if (kept.some(other => startFt < other.endFt - ROUTE_TOLERANCE_FT && other.startFt < endFt - ROUTE_TOLERANCE_FT)) {
+                return false;
+            }
+
+            kept.push(segment.route);
+            keptByRoute.set(segment.route.id, kept);
+            return true;
+        });
+    }
+
+    /**
+     * Every continuous cap of a target length: chains of segments meeting end to end along each stitched
+     * route, scored by the length-weighted average of their segment scores. Chains stop at segments the
+     * requirements excluded, so a stretch of eligible segments shorter than the target has no windows.
+     * Overlapping segments (sliding windows) are chained too, each through the window starting closest to,
+     * but not past, the previous one's end; only the part of each window past that end counts toward the
+     * chain's score and deck area, so overlaps aren't counted twice.
+     * @param {Array} segments - Scored result segments carrying route { id, startFt, endFt }
+     * @param {number} targetLengthFt - Minimum cap length
+     * @returns {Array} [{ freeway, routeId, routeLabel, segmentIds, startFt, endFt, length_ft, deck_area_sqft, center, neighborhoods, score }],
+     *   best first (overlapping)
+     */
+    getCapWindows(segments, targetLengthFt) {
+        const byRoute = new Map();
+        for (const segment of segments) {
+            if (!segment.route) continue;
+            if (!byRoute.has(segment.route.id)) byRoute.set(segment.route.id, []);
+            byRoute.get(segment.route.id).push(segment);
+        }
+
+        const windows = [];
+        for (const routeSegments of byRoute.values()) {
+            routeSegments.sort((a, b) => a.route.startFt - b.route.startFt);
+
+            // The segment starting closest to, and not past, where another ends, provided it reaches further
+            // (binary search on start station)
+            const findNext = (segment) => {
+                const endFt = segment.route.endFt;
+                let low = 0;
+                let high = routeSegments.length;
+                while (low < high) {
+                    const middle = (low + high) >> 1;
+                    if (routeSegments[middle].route.startFt < endFt + ROUTE_TOLERANCE_FT) low = middle + 1;
+                    else high = middle;
+                }
+                const next = routeSegments[low - 1];
+                return next && next.route.startFt > segment.route.startFt + ROUTE_TOLERANCE_FT
+                    && next.route.endFt > endFt + ROUTE_TOLERANCE_FT ? next : null;
+            };
+
+            // From each starting segment, follow adjacent segments until the chain reaches the target length
+            for (const first of routeSegments) {
+                const members = [first];
+                let last = first;
+                while (last.route.endFt - first.route.startFt < targetLengthFt - ROUTE_TOLERANCE_FT) {
+                    last = findNext(last);
+                    if (!last) break;
+                    members.push(last);
+                }
+                if (!last) continue;
+
+                const startFt = first.route.startFt;
+                const endFt = last.route.endFt;
+
+                // Share of each member not already covered by the one before it
+                const shares = members.map((segment, i) => {
+                    const { startFt: from, endFt: to } = segment.route;
+                    const coveredTo = i === 0 ? from : members[i - 1].route.endFt;
+                    return coveredTo - from > ROUTE_TOLERANCE_FT ? (to - coveredTo) / (to - from) : 1;
+                });
+                const totalLength = members.reduce((sum, segment, i) => sum + segment.length_ft * shares[i], 0);
+                const score = members.reduce((sum, segment, i) => sum + segment.score * segment.length_ft * shares[i], 0) / totalLength;
+                const neighborhoods = [...new Set(members.flatMap(segment => segment.neighborhoods || []))].sort();
+
+                windows.push({
+                    freeway: members[0].freeway,
+                    routeId: members[0].route.id,
+                    routeLabel: members[0].route.label,
+                    segmentIds: members.map(segment => segment.id),
+                    startFt,
+                    endFt,
+                    length_ft: endFt - startFt,
+                    deck_area_sqft: members.reduce((sum, segment, i) => sum + (segment.deck_area_sqft || 0) * shares[i], 0),
+                    center: members[Math.floor(members.length / 2)].center,
+                    neighborhoods,
+                    score
+                });
+            }
+        }
+
+        return windows.sort((a, b) => b.score - a.score);
+    }
+
+    /**
+     * Best continuous caps of a target length (see getCapWindows), keeping the top non-overlapping ones
+     * @param {Array} segments - Scored result segments carrying route { id, startFt, endFt }
+     * @param {number} targetLengthFt - Minimum cap length
+     * @param {number} count - Maximum number of candidates
+     * @returns {Array} Windows with a rank, best first
+     */
+    findCapStretches(segments, targetLengthFt, count) {
+        const windows = this.getCapWindows(segments, targetLengthFt);
+
+        // Greedily keep the best windows that don't share any stretch of route with a better one
+        const selected = [];
+        for (const window of windows) {
+            if (selected.length >= count) break;
+
+            const overlaps = selected.some(other => other.routeId === window.routeId &&
+                window.startFt < other.endFt - ROUTE_TOLERANCE_FT && other.startFt < window.endFt - ROUTE_TOLERANCE_FT);
+            if (!overlaps) selected.push(window);
+        }
+
+        selected.forEach((window, index) => {
+            window.rank = index + 1;
+        });
+
+        return selected;
+    }
+}
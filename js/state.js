@@ -15,42 +15,82 @@ class StateManager {
             // Preferences state
             defaultScenario: 'best-overall',
             segmentLength: 300, // feet
+            // Slide a segment-length window along each route every stepFt instead of tiling it
+            slidingWindow: { enabled: false, stepFt: 100 },
+            segmentWidth: 150, // feet - cap deck width for corridors without their own width
+            // Typical deck widths (feet) across each trench, curb to curb including shoulders
+            corridorWidths: { 'I-90/94': 200, 'I-290': 150, 'I-55': 160, 'I-90/94-Dan-Ryan': 260, 'I-57': 140 },
+            useRightOfWay: true, // fit decks to right-of-way polygons when that dataset is available
             selectedFreeways: ['I-90/94', 'I-290', 'I-55', 'I-90/94-Dan-Ryan', 'I-57'],
             requirements: {
-                globalBuffer: { enabled: false, distance: 0.5 },
+                globalBuffer: { enabled: false, distance: 0.5, source: 'chicago_boundary', polygon: null },
                 stationProximity: { enabled: false, distance: 0.5 },
                 neighborhoods: { enabled: false, selected: [] },
                 zoning: { enabled: false, allowed: [] },
                 ssa: { enabled: false },
                 tif: { enabled: false },
-                bridgeAge: { enabled: false, threshold: 80 }
+                bridgeAge: { enabled: false, threshold: 80 },
+                // NBI criteria on the nearest bridge; null / 'any' turns a criterion off
+                bridgeCondition: { enabled: false, minRating: 5, maxInspectionAge: null, nhs: 'any' },
+                // Rule builder: groups of { dataset, predicate, distanceFt, field, operator, value, negate } rules,
+                // combined within a group by its combinator ('and'/'or') and across groups by the top-level one
+                customRules: { enabled: false, combinator: 'and', groups: [] }
             },
+            // decay: distance-decay kernel for proximity features - 'linear', 'exponential', 'gaussian',
+            // 'step' or 'logistic' (logistic also takes decayMidpoint in miles, default half the radius)
+            // mode: 'nearest' (default) scores the closest feature; 'cumulative' sums decayed contributions of
+            // every feature in the radius, optionally weighted by a numeric property (weightField), normalized
+            // by cumulativeNormalization: 'cap' (default), 'log' or 'max' - cap and log give a full score at
+            // saturation (default 5)
+            // normalization (density, block-group, crossing-gap and detour features): 'percentile' (5th-95th,
+            // clipped), 'minmax', 'zscore' or 'rank' across the eligible segments, or 'fixed' for the scorers'
+            // hard-coded maximums
             features: {
-                ctaStations: { weight: 9, radius: 1.0 },
-                parks: { weight: 6, radius: 1.0 },
-                metraStations: { weight: 8, radius: 1.0 },
-                amtrakStations: { weight: 7, radius: 1.0 },
-                transitDensity: { weight: 7, radius: 0.25, direction: 'higher' },
-                bikeNetwork: { weight: 5, radius: 0.25, direction: 'higher' },
-                population: { weight: 7, radius: 1.0 },
-                householdSize: { weight: 4, radius: 1.0 },
-                income: { weight: 5, radius: 1.0, direction: 'lower' },
-                adi: { weight: 8, radius: 1.0, direction: 'higher' },
-                crashes: { weight: 5, radius: 1.0, direction: 'lower' },
-                permits: { weight: 5, radius: 1.0, years: 3 },
-                hospitals: { weight: 4, radius: 1.0 },
-                publicSchools: { weight: 4, radius: 1.0 },
-                privateSchools: { weight: 4, radius: 1.0 },
-                colleges: { weight: 5, radius: 1.0 },
-                landmarks: { weight: 2, radius: 1.0 },
-                stadiums: { weight: 5, radius: 1.0 },
-                bridges: { weight: 9, radius: 1.0 },
-                ssa: { weight: 5, radius: 1.0 },
-                tif: { weight: 5, radius: 1.0 },
-                medicalDistrict: { weight: 4, radius: 1.0 },
-                neighborhoodCenter: { weight: 5, radius: 1.0 }
+                ctaStations: { weight: 9, radius: 1.0, decay: 'linear' },
+                parks: { weight: 6, radius: 1.0, decay: 'linear' },
+                metraStations: { weight: 8, radius: 1.0, decay: 'linear' },
+                amtrakStations: { weight: 7, radius: 1.0, decay: 'linear' },
+                transitDensity: { weight: 7, radius: 0.25, direction: 'higher', normalization: 'percentile' },
+                bikeNetwork: { weight: 5, radius: 0.25, direction: 'higher', normalization: 'percentile' },
+                population: { weight: 7, radius: 1.0, direction: 'higher', normalization: 'percentile' },
+                householdSize: { weight: 4, radius: 1.0, direction: 'higher', normalization: 'percentile' },
+                income: { weight: 5, radius: 1.0, direction: 'lower', normalization: 'percentile' },
+                adi: { weight: 8, radius: 1.0, direction: 'higher', normalization: 'percentile' },
+                crashes: { weight: 5, radius: 1.0, direction: 'lower', normalization: 'percentile' },
+                permits: { weight: 5, radius: 1.0, years: 3, direction: 'higher', normalization: 'percentile' },
+                hospitals: { weight: 4, radius: 1.0, decay: 'linear' },
+                publicSchools: { weight: 4, radius: 1.0, decay: 'linear' },
+                privateSchools: { weight: 4, radius: 1.0, decay: 'linear' },
+                colleges: { weight: 5, radius: 1.0, decay: 'linear' },
+                landmarks: { weight: 2, radius: 1.0, decay: 'linear' },
+                stadiums: { weight: 5, radius: 1.0, decay: 'linear' },
+                bridges: { weight: 9, radius: 1.0, decay: 'linear' },
+                bridgeReuse: { weight: 0, radius: 1.0, decay: 'linear' },
+                ssa: { weight: 5, radius: 1.0, decay: 'linear' },
+                tif: { weight: 5, radius: 1.0, decay: 'linear' },
+                medicalDistrict: { weight: 4, radius: 1.0, decay: 'linear' },
+                neighborhoodCenter: { weight: 5, radius: 1.0, decay: 'linear' },
+                neighborhoodReconnection: { weight: 0 },
+                crossingGap: { weight: 0, direction: 'higher', normalization: 'percentile' },
+                // metric: 'detour' (walking distance saved), 'population' or 'destinations' newly within a 10-minute walk
+                detourReduction: { weight: 0, metric: 'detour', direction: 'higher', normalization: 'percentile' }
             },
             individualRadii: false,
+            globalRadius: 1.0, // miles - shared by proximity features unless individualRadii is on
+            // Proximity distances: 'euclidean' (straight line) or 'network' (walking the street centerlines)
+            distanceMode: 'euclidean',
+            // Block-group features average every block group within distance (miles) of the segment,
+            // weighted by overlapping 'area' or estimated 'population'; 'centroid' uses only the containing one
+            blockGroupCatchment: { distance: 0.25, weighting: 'area' },
+            // TIF/SSA gates and scores only count districts active through the construction horizon year
+            // (null: the current year); weightByLifetime scales their scores by remaining lifetime
+            fundingHorizon: { year: null, weightByLifetime: false },
+            // Cap stretch optimizer: best non-overlapping runs of adjacent segments at least targetLengthFt long
+            capStretches: { targetLengthFt: 1000, count: 5 },
+            // Portfolio of cap stretches (targetLengthFt long) with the highest total score: budget is total feet
+            // ('length') or $ millions at costPerFoot ('cost'); coverage 'corridor' or 'neighborhood' requires at
+            // least one cap per freeway / per selected neighborhood (every neighborhood served if none selected)
+            portfolio: { budgetType: 'length', budget: 5000, costPerFoot: 60000, maxCount: 5, minSpacingFt: 2640, coverage: 'none' },
 
             // Analysis state
             isAnalyzing: false,
@@ -59,10 +99,11 @@ class StateManager {
 
             // Results state
             analysisResults: null,
+            resultsStale: false, // analysis settings other than feature weights changed since the results
             rankedSegments: [],
             selectedSegment: null,
             showRightPanel: false,
-            resultsView: 'rankings' // 'rankings' or 'methodology'
+            resultsView: 'rankings' // 'rankings', 'stretches', 'portfolio' or 'methodology'
         };
 
         this.listeners = new Map();
@@ -192,6 +233,22 @@ class StateManager {
         this.set('segmentLength', length);
     }
 
+    updateSlidingWindow(updates) {
+        this.update('slidingWindow', updates);
+    }
+
+    setSegmentWidth(width) {
+        this.set('segmentWidth', width);
+    }
+
+    setCorridorWidth(freeway, width) {
+        this.update('corridorWidths', { [freeway]: width });
+    }
+
+    setUseRightOfWay(enabled) {
+        this.set('useRightOfWay', enabled);
+    }
+
     toggleFreewaySelection(freeway, enabled) {
         const freeways = new Set(this.get('selectedFreeways'));
         if (enabled) {
@@ -214,6 +271,30 @@ class StateManager {
         this.set('individualRadii', enabled);
     }
 
+    setGlobalRadius(radius) {
+        this.set('globalRadius', radius);
+    }
+
+    setDistanceMode(mode) {
+        this.set('distanceMode', mode);
+    }
+
+    updateBlockGroupCatchment(updates) {
+        this.update('blockGroupCatchment', updates);
+    }
+
+    updateFundingHorizon(updates) {
+        this.update('fundingHorizon', updates);
+    }
+
+    updateCapStretches(updates) {
+        this.update('capStretches', updates);
+    }
+
+    updatePortfolio(updates) {
+        this.update('portfolio', updates);
+    }
+
     // Analysis management
     startAnalysis() {
         this.set('isAnalyzing', true);
@@ -232,6 +313,7 @@ class StateManager {
         this.set('isAnalyzing', false);
         this.set('analysisProgress', 100);
         this.set('analysisResults', results);
+        this.set('resultsStale', false);
         this.set('rankedSegments', results.segments || []);
         this.setCurrentView('results');
     }
@@ -255,6 +337,7 @@ class StateManager {
         this.set('analysisProgress', 0);
         this.set('currentSegment', null);
         this.set('analysisResults', null);
+        this.set('resultsStale', false);
         this.set('rankedSegments', []);
         this.set('selectedSegment', null);
         this.set('showRightPanel', false);
@@ -281,10 +364,18 @@ class StateManager {
     getAnalysisConfiguration() {
         return {
             segmentLength: this.get('segmentLength'),
+            slidingWindow: this.get('slidingWindow'),
+            segmentWidth: this.get('segmentWidth'),
+            corridorWidths: this.get('corridorWidths'),
+            useRightOfWay: this.get('useRightOfWay'),
             selectedFreeways: this.get('selectedFreeways'),
             requirements: this.get('requirements'),
             features: this.get('features'),
-            individualRadii: this.get('individualRadii')
+            individualRadii: this.get('individualRadii'),
+            globalRadius: this.get('globalRadius'),
+            distanceMode: this.get('distanceMode'),
+            blockGroupCatchment: this.get('blockGroupCatchment'),
+            fundingHorizon: this.get('fundingHorizon')
         };
     }
 
@@ -1,10 +1,16 @@
 // UI Controller - Manages all user interface interactions and updates
+import PortfolioOptimizer from './portfolio.js';
+
+const SQ_FT_PER_ACRE = 43560;
+
 class UIController {
     constructor(mapComponent, stateManager) {
         this.mapComponent = mapComponent;
         this.stateManager = stateManager;
         this.datasetCatalog = null;
         this.loadingStates = new Map();
+        this.freewaysData = null;
+        this.corridorBufferCache = new Map(); // `${corridorId}|${distance}` -> buffer polygon
 
         // Scenario configurations
         this.scenarios = {
@@ -18,7 +24,8 @@ class UIController {
                     income: 5, adi: 8, crashes: 5, permits: 5, hospitals: 4,
                     publicSchools: 4, privateSchools: 4, colleges: 5, landmarks: 2,
                     stadiums: 5, bridges: 9, ssa: 5, tif: 5, medicalDistrict: 4,
-                    neighborhoodCenter: 5
+                    neighborhoodCenter: 5, bridgeReuse: 0, neighborhoodReconnection: 0, crossingGap: 0,
+                    detourReduction: 0
                 }
             },
             'equity': {
@@ -28,16 +35,19 @@ class UIController {
                     '• Area Deprivation Index: higher is better, high priority - focus on socioeconomically disadvantaged areas',
                     '• Crash Frequency: higher is better, high priority - most opportunity for safety improvement through rebuilding',
                     '• Proximity to Public Schools: high priority',
-                    '• Proximity to Neighborhood Centers: medium priority - focus on reconnecting neighborhoods which are currently split in half by the highway',
+                    '• Neighborhood Reconnection: high priority - focus on reconnecting neighborhoods which are currently split in half by the highway',
+                    '• Crossing Gap: medium priority - favor places where residents walk furthest to get across the freeway',
+                    '• Detour Reduction: medium priority - where a new crossing would shorten walks across the freeway the most',
+                    '• Proximity to Neighborhood Centers: medium priority - keep caps close to where neighborhood life happens',
                     '• Proximity to Parks: high priority - if there isn\'t necessarily room to build a park on the cap, how can we make parks more accessible'
                 ],
                 requirements: {},
                 features: {
-                    adi: 10, crashes: 10, publicSchools: 10, parks: 10, neighborhoodCenter: 5,
-                    ctaStations: 0, metraStations: 0, amtrakStations: 0, transitDensity: 0,
+                    adi: 10, crashes: 10, publicSchools: 10, parks: 10, neighborhoodReconnection: 8,
+                    neighborhoodCenter: 5, crossingGap: 6, detourReduction: 6, ctaStations: 0, metraStations: 0, amtrakStations: 0, transitDensity: 0,
                     bikeNetwork: 0, population: 0, householdSize: 0, income: 0, permits: 0,
                     hospitals: 0, privateSchools: 0, colleges: 0, landmarks: 0, stadiums: 0,
-                    bridges: 0, ssa: 0, tif: 0, medicalDistrict: 0
+                    bridges: 0, ssa: 0, tif: 0, medicalDistrict: 0, bridgeReuse: 0
                 },
                 directions: {
                     crashes: 'higher'
@@ -49,6 +59,7 @@ class UIController {
                     'Scenario 2: Cap-Ready/Implementation Feasibility - direct caps to where construction is most straightforward and financially-incentivized.',
                     '• Station-Proximity Gate: within a half mile of a CTA, Metra, or Amtrak station - allows for access to related financing',
                     '• Proximity to Existing Bridges: high priority - leverage existing infrastructure',
+                    '• Bridges Due for Replacement: high priority - bridges in poor condition need rebuilding anyway',
                     '• Closest Bridge Age: exclude segments where the nearest bridge is more than 75 years old',
                     '• Proximity to TIF Districts and SSAs: medium to high priority - potential for additional financial resources'
                 ],
@@ -57,12 +68,13 @@ class UIController {
                     bridgeAge: { enabled: true, threshold: 75 }
                 },
                 features: {
-                    bridges: 10, ssa: 8, tif: 8,
+                    bridges: 10, bridgeReuse: 8, ssa: 8, tif: 8,
                     ctaStations: 0, metraStations: 0, amtrakStations: 0, parks: 0,
                     transitDensity: 0, bikeNetwork: 0, population: 0, householdSize: 0,
                     income: 0, adi: 0, crashes: 0, permits: 0, hospitals: 0,
                     publicSchools: 0, privateSchools: 0, colleges: 0, landmarks: 0,
-                    stadiums: 0, medicalDistrict: 0, neighborhoodCenter: 0
+                    stadiums: 0, medicalDistrict: 0, neighborhoodCenter: 0, neighborhoodReconnection: 0,
+                    crossingGap: 0, detourReduction: 0
                 }
             },
             'transit': {
@@ -79,12 +91,19 @@ class UIController {
                         allowed: ['business', 'commercial', 'downtown', 'planned']
                     }
                 },
+                radii: {
+                    ctaStations: 0.5, metraStations: 0.5, amtrakStations: 0.5
+                },
+                decays: {
+                    ctaStations: 'step', metraStations: 'step', amtrakStations: 'step'
+                },
                 features: {
                     ctaStations: 10, metraStations: 10, amtrakStations: 10, transitDensity: 10,
                     parks: 0, bikeNetwork: 0, population: 0, householdSize: 0, income: 0,
                     adi: 0, crashes: 0, permits: 0, hospitals: 0, publicSchools: 0,
                     privateSchools: 0, colleges: 0, landmarks: 0, stadiums: 0, bridges: 0,
-                    ssa: 0, tif: 0, medicalDistrict: 0, neighborhoodCenter: 0
+                    ssa: 0, tif: 0, medicalDistrict: 0, neighborhoodCenter: 0, bridgeReuse: 0,
+                    neighborhoodReconnection: 0, crossingGap: 0, detourReduction: 0
                 }
             },
             'safe-routes': {
@@ -93,21 +112,146 @@ class UIController {
                     'Scenario 4: Safe Routes - direct caps to deliver open space and safe crossings near schools and hospitals.',
                     '• Proximity to Hospitals: high priority',
                     '• Proximity to Public and Private Schools: high priority',
-                    '• Crash Frequency: higher is better, high priority - most opportunity for safety improvement through rebuilding'
+                    '• Crash Frequency: higher is better, high priority - most opportunity for safety improvement through rebuilding',
+                    '• Crossing Gap: high priority - add safe crossings where the nearest existing one is furthest away'
                 ],
                 requirements: {},
+                radii: {
+                    publicSchools: 0.5, privateSchools: 0.5
+                },
                 features: {
-                    hospitals: 10, publicSchools: 10, privateSchools: 10, crashes: 10,
+                    hospitals: 10, publicSchools: 10, privateSchools: 10, crashes: 10, crossingGap: 8,
                     ctaStations: 0, metraStations: 0, amtrakStations: 0, parks: 0,
                     transitDensity: 0, bikeNetwork: 0, population: 0, householdSize: 0,
                     income: 0, adi: 0, permits: 0, colleges: 0, landmarks: 0, stadiums: 0,
-                    bridges: 0, ssa: 0, tif: 0, medicalDistrict: 0, neighborhoodCenter: 0
+                    bridges: 0, ssa: 0, tif: 0, medicalDistrict: 0, neighborhoodCenter: 0,
+                    bridgeReuse: 0, neighborhoodReconnection: 0, detourReduction: 0
                 },
                 directions: {
                     crashes: 'higher'
                 }
             }
         };
+
+        // Display metadata for scored features (segment details, live weight adjustment, radius controls).
+        // metric: 'proximity' (distance decay within a radius), 'density' (count within a radius),
+        // 'blockGroup' (value of the containing census block group), 'split' (neighborhood area on each side),
+        // 'corridor' (measured along the freeway) or 'network' (walking distance on the street network)
+        this.featureMetadata = [
+            { key: 'ctaStations', label: 'CTA Rail Stations', color: '#1f77b4', metric: 'proximity' },
+            { key: 'metraStations', label: 'Metra Stations', color: '#ff6b6b', metric: 'proximity' },
+            { key: 'amtrakStations', label: 'Amtrak Stations', color: '#4ecdc4', metric: 'proximity' },
+            { key: 'parks', label: 'Parks', color: '#2ca02c', metric: 'proximity' },
+            { key: 'publicSchools', label: 'Public Schools', color: '#ff7f0e', metric: 'proximity' },
+            { key: 'privateSchools', label: 'Private Schools', color: '#d62728', metric: 'proximity' },
+            { key: 'colleges', label: 'Colleges', color: '#9467bd', metric: 'proximity' },
+            { key: 'hospitals', label: 'Hospitals', color: '#8c564b', metric: 'proximity' },
+            { key: 'landmarks', label: 'Landmarks', color: '#e377c2', metric: 'proximity' },
+            { key: 'stadiums', label: 'Stadiums', color: '#7f7f7f', metric: 'proximity' },
+            { key: 'ssa', label: 'SSA', color: '#bcbd22', metric: 'proximity' },
+            { key: 'tif', label: 'TIF', color: '#17becf', metric: 'proximity' },
+            { key: 'medicalDistrict', label: 'Medical District', color: '#ff9896', metric: 'proximity' },
+            { key: 'neighborhoodCenter', label: 'Neighborhood Center', color: '#c5b0d5', metric: 'proximity' },
+            { key: 'neighborhoodReconnection', label: 'Neighborhood Reconnection', color: '#9b59b6', metric: 'split' },
+            { key: 'crossingGap', label: 'Crossing Gap', color: '#34495e', metric: 'corridor' },
+            { key: 'detourReduction', label: 'Detour Reduction', color: '#e67e22', metric: 'network' },
+            { key: 'bridges', label: 'Bridges', color: '#95a5a6', metric: 'proximity' },
+            { key: 'bridgeReuse', label: 'Bridges Due for Replacement', color: '#7f8c8d', metric: 'proximity' },
+            { key: 'adi', label: 'ADI of Block Group', color: '#e74c3c', metric: 'blockGroup' },
+            { key: 'crashes', label: 'Crash Frequency', color: '#f39c12', metric: 'blockGroup' },
+            { key: 'transitDensity', label: 'Transit Stop Density', color: '#3498db', metric: 'density' },
+            { key: 'bikeNetwork', label: 'Bike Network Connectivity', color: '#27ae60', metric: 'density' },
+            { key: 'population', label: 'Population Density', color: '#8e44ad', metric: 'blockGroup' },
+            { key: 'householdSize', label: 'Household Size', color: '#d35400', metric: 'blockGroup' },
+            { key: 'income', label: 'Median Income', color: '#16a085', metric: 'blockGroup' },
+            { key: 'permits', label: 'Building Permits', color: '#6c757d', metric: 'density' }
+        ];
+
+        // Preference panel weight slider IDs by feature key
+        this.featureSliderIds = {
+            ctaStations: 'cta-weight',
+            metraStations: 'metra-stations-weight',
+            amtrakStations: 'amtrak-stations-weight',
+            parks: 'parks-weight',
+            publicSchools: 'public-schools-weight',
+            privateSchools: 'private-schools-weight',
+            colleges: 'colleges-weight',
+            hospitals: 'hospitals-weight',
+            landmarks: 'landmarks-weight',
+            stadiums: 'stadiums-weight',
+            bridges: 'bridges-weight',
+            bridgeReuse: 'bridge-reuse-weight',
+            ssa: 'ssa-weight',
+            tif: 'tif-weight',
+            medicalDistrict: 'medical-district-weight',
+            neighborhoodCenter: 'neighborhood-center-weight',
+            neighborhoodReconnection: 'neighborhood-reconnection-weight',
+            crossingGap: 'crossing-gap-weight',
+            detourReduction: 'detour-reduction-weight',
+            adi: 'adi-weight',
+            crashes: 'crashes-weight',
+            transitDensity: 'transit-density-weight',
+            bikeNetwork: 'bike-network-weight',
+            population: 'population-weight',
+            householdSize: 'household-size-weight',
+            income: 'income-weight',
+            permits: 'permits-weight'
+        };
+
+        // Distance-decay kernels for proximity features (see AnalysisEngine.applyDistanceDecay)
+        this.decayKernels = {
+            linear: { label: 'Linear', description: 'score falls in a straight line from 10 at the segment to 0 at the radius' },
+            exponential: { label: 'Exponential', description: 'score drops quickly near the segment, then tapers off toward the radius' },
+            gaussian: { label: 'Gaussian', description: 'score stays high nearby, falls fastest around half the radius, then flattens out' },
+            logistic: { label: 'Logistic', description: 'score stays near 10 until the midpoint, then drops sharply' },
+            step: { label: 'Step', description: 'full score anywhere inside the radius, 0 outside' }
+        };
+
+        // How density and block-group metrics become 0-10 scores (see AnalysisEngine.normalizeValues)
+        this.normalizationMethods = {
+            percentile: { label: 'Percentile (5th-95th)', description: 'scaled between the 5th and 95th percentile of the analyzed segments, with outliers clipped' },
+            minmax: { label: 'Min-max', description: 'scaled between the lowest and highest analyzed segment' },
+            zscore: { label: 'Z-score', description: 'standard score across the analyzed segments, from 2 standard deviations below the mean (0) to 2 above (10)' },
+            rank: { label: 'Rank', description: 'percentile rank among the analyzed segments' },
+            fixed: { label: 'Fixed maximum', description: 'scaled against a fixed maximum for Chicago' }
+        };
+
+        // Spatial predicates and attribute operators offered by the custom rule builder
+        this.customRulePredicates = {
+            intersects: 'intersects',
+            within: 'within',
+            contains: 'inside'
+        };
+        this.customRuleOperators = ['=', '!=', '>', '>=', '<', '<=', 'contains'];
+
+        // Numeric attributes a cumulative score can weight each feature by, with a cap suited to the field's units
+        this.cumulativeWeightFields = {
+            parks: [{ field: 'acres', label: 'acres', saturation: 50 }],
+            bridges: [{ field: 'deck_area', label: 'deck area', saturation: 2000 }],
+            privateSchools: [{ field: 'population', label: 'enrollment', saturation: 1000 }]
+        };
+        this.defaultCumulativeSaturation = 5; // features within the radius for a full score
+
+        // Default decay kernels, restored when a scenario doesn't override them
+        this.defaultFeatureDecays = Object.fromEntries(
+            Object.entries(this.stateManager.get('features'))
+                .filter(([, feature]) => feature.decay)
+                .map(([key, feature]) => [key, feature.decay])
+        );
+
+        // Default per-feature radii, restored when a scenario doesn't override them
+        this.defaultFeatureRadii = Object.fromEntries(
+            Object.entries(this.stateManager.get('features')).map(([key, feature]) => [key, feature.radius])
+        );
+
+        // Pending animation frame for live re-ranking
+        this.rerankFrame = null;
+
+        // Last portfolio solved, reused while the results and portfolio settings are unchanged
+        this.portfolioCache = null;
+
+        // Requirement gates panel of the last analysis; exclusions don't depend on weights, so re-ranks reuse it
+        this.exclusionSummaryCache = null;
     }
 
     async init() {
@@ -215,11 +359,73 @@ class UIController {
             });
         });
 
+        // Corridor buffer controls (Explore)
+        document.getElementById('show-buffer').addEventListener('change', (e) => {
+            this.stateManager.toggleBufferVisibility(e.target.checked);
+            const controls = document.getElementById('buffer-controls');
+            controls.classList.toggle('opacity-50', !e.target.checked);
+            controls.classList.toggle('pointer-events-none', !e.target.checked);
+        });
+
+        document.getElementById('buffer-distance').addEventListener('change', (e) => {
+            const distance = parseFloat(e.target.value);
+            if (distance > 0) {
+                this.stateManager.setBufferDistance(distance);
+            }
+        });
+
+        document.querySelectorAll('.buffer-highway').forEach(checkbox => {
+            checkbox.addEventListener('change', (e) => {
+                this.stateManager.toggleHighway(e.target.dataset.highway, e.target.checked);
+            });
+        });
+
+        // Study area drawing (Explore)
+        document.getElementById('draw-study-area').addEventListener('click', () => {
+            this.drawStudyArea();
+        });
+
+        document.getElementById('clear-study-area').addEventListener('click', () => {
+            this.stateManager.updateRequirement('globalBuffer', { polygon: null });
+            this.mapComponent.showStudyArea(null);
+            this.updateStudyAreaStatus();
+        });
+
         // Preferences controls
         document.getElementById('segment-length').addEventListener('input', (e) => {
             this.stateManager.setSegmentLength(parseInt(e.target.value));
         });
 
+        document.getElementById('sliding-window-enabled').addEventListener('change', (e) => {
+            this.stateManager.updateSlidingWindow({ enabled: e.target.checked });
+        });
+
+        document.getElementById('sliding-window-step').addEventListener('input', (e) => {
+            const stepFt = parseFloat(e.target.value);
+            if (stepFt > 0) {
+                this.stateManager.updateSlidingWindow({ stepFt });
+            }
+        });
+
+        document.getElementById('segment-width').addEventListener('input', (e) => {
+            const width = parseFloat(e.target.value);
+            if (width > 0) {
+                this.stateManager.setSegmentWidth(width);
+            }
+        });
+
+        // A blank corridor width falls back to the default (Other) width
+        document.querySelectorAll('.corridor-width').forEach(input => {
+            input.addEventListener('input', (e) => {
+                const width = parseFloat(e.target.value);
+                this.stateManager.setCorridorWidth(e.target.dataset.freeway, width > 0 ? width : null);
+            });
+        });
+
+        document.getElementById('use-right-of-way').addEventListener('change', (e) => {
+            this.stateManager.setUseRightOfWay(e.target.checked);
+        });
+
         // Freeway selection in preferences
         document.getElementById('pref-i90').addEventListener('change', (e) => {
             this.stateManager.toggleFreewaySelection('I-90/94', e.target.checked);
@@ -241,6 +447,23 @@ class UIController {
             this.stateManager.toggleFreewaySelection('I-57', e.target.checked);
         });
 
+        // Study Area Gate controls
+        document.getElementById('study-area-enabled').addEventListener('change', (e) => {
+            this.stateManager.updateRequirement('globalBuffer', { enabled: e.target.checked });
+            this.toggleStudyAreaControls(e.target.checked);
+        });
+
+        document.getElementById('study-area-source').addEventListener('change', (e) => {
+            this.stateManager.updateRequirement('globalBuffer', { source: e.target.value });
+        });
+
+        document.getElementById('study-area-distance').addEventListener('input', (e) => {
+            const distance = parseFloat(e.target.value);
+            if (distance >= 0) {
+                this.stateManager.updateRequirement('globalBuffer', { distance });
+            }
+        });
+
         // Station-Proximity Gate controls
         document.getElementById('station-gate-enabled').addEventListener('change', (e) => {
             this.stateManager.updateRequirement('stationProximity', { enabled: e.target.checked });
@@ -296,9 +519,52 @@ class UIController {
             this.stateManager.updateRequirement('bridgeAge', { threshold });
         });
 
+        // Bridge rating gate controls
+        document.getElementById('require-bridge-rating').addEventListener('change', (e) => {
+            const enabled = e.target.checked;
+            this.stateManager.updateRequirement('bridgeCondition', { enabled });
+            document.getElementById('bridge-rating-controls').style.display = enabled ? 'block' : 'none';
+        });
+
+        document.getElementById('bridge-min-rating').addEventListener('change', (e) => {
+            const minRating = parseInt(e.target.value);
+            this.stateManager.updateRequirement('bridgeCondition', { minRating: isNaN(minRating) ? null : minRating });
+        });
+
+        document.getElementById('bridge-inspection-age').addEventListener('change', (e) => {
+            const maxInspectionAge = parseInt(e.target.value);
+            this.stateManager.updateRequirement('bridgeCondition', { maxInspectionAge: isNaN(maxInspectionAge) ? null : maxInspectionAge });
+        });
+
+        document.getElementById('bridge-nhs').addEventListener('change', (e) => {
+            this.stateManager.updateRequirement('bridgeCondition', { nhs: e.target.value });
+        });
+        this.syncBridgeRatingControls();
+
+        // Custom rule builder
+        this.setupCustomRuleControls();
+
         // Feature weight controls
         this.setupFeatureWeightControls();
 
+        // Search radius controls
+        this.setupFeatureRadiusControls();
+
+        // Distance-decay controls
+        this.setupFeatureDecayControls();
+
+        // Cumulative-opportunity controls
+        this.setupFeatureCumulativeControls();
+
+        // Normalization controls
+        this.setupFeatureNormalizationControls();
+
+        // Block group catchment controls
+        this.setupCatchmentControls();
+
+        // Construction horizon for funding districts
+        this.setupFundingHorizonControls();
+
         // Analysis button
         document.getElementById('initiate-analysis').addEventListener('click', () => {
             this.initiateAnalysis();
@@ -313,6 +579,12 @@ class UIController {
             this.stateManager.setCurrentView('preferences');
         });
 
+        // Re-run with the current settings once the results are stale
+        document.getElementById('rerun-analysis').addEventListener('click', () => {
+            this.clearAnalysisResults();
+            this.initiateAnalysis();
+        });
+
         // Right panel close
         document.getElementById('close-right-panel').addEventListener('click', () => {
             this.stateManager.toggleRightPanel(false);
@@ -452,6 +724,37 @@ class UIController {
             this.stateManager.updateFeature('neighborhoodCenter', { weight: value });
         });
 
+        // Neighborhood reconnection weight
+        const neighborhoodReconnectionSlider = document.getElementById('neighborhood-reconnection-weight');
+        const neighborhoodReconnectionValue = document.getElementById('neighborhood-reconnection-weight-value');
+        neighborhoodReconnectionSlider.addEventListener('input', (e) => {
+            const value = parseInt(e.target.value);
+            neighborhoodReconnectionValue.textContent = value;
+            this.stateManager.updateFeature('neighborhoodReconnection', { weight: value });
+        });
+
+        // Crossing gap weight
+        const crossingGapSlider = document.getElementById('crossing-gap-weight');
+        const crossingGapValue = document.getElementById('crossing-gap-weight-value');
+        crossingGapSlider.addEventListener('input', (e) => {
+            const value = parseInt(e.target.value);
+            crossingGapValue.textContent = value;
+            this.stateManager.updateFeature('crossingGap', { weight: value });
+        });
+
+        // Detour reduction weight and metric
+        const detourReductionSlider = document.getElementById('detour-reduction-weight');
+        const detourReductionValue = document.getElementById('detour-reduction-weight-value');
+        detourReductionSlider.addEventListener('input', (e) => {
+            const value = parseInt(e.target.value);
+            detourReductionValue.textContent = value;
+            this.stateManager.updateFeature('detourReduction', { weight: value });
+        });
+
+        document.getElementById('detour-metric').addEventListener('change', (e) => {
+            this.stateManager.updateFeature('detourReduction', { metric: e.target.value });
+        });
+
         // Bridges weight
         const bridgesSlider = document.getElementById('bridges-weight');
         const bridgesValue = document.getElementById('bridges-weight-value');
@@ -461,6 +764,15 @@ class UIController {
             this.stateManager.updateFeature('bridges', { weight: value });
         });
 
+        // Bridge reuse weight
+        const bridgeReuseSlider = document.getElementById('bridge-reuse-weight');
+        const bridgeReuseValue = document.getElementById('bridge-reuse-weight-value');
+        bridgeReuseSlider.addEventListener('input', (e) => {
+            const value = parseInt(e.target.value);
+            bridgeReuseValue.textContent = value;
+            this.stateManager.updateFeature('bridgeReuse', { weight: value });
+        });
+
         // ADI weight
         const adiSlider = document.getElementById('adi-weight');
         const adiValue = document.getElementById('adi-weight-value');
@@ -507,6 +819,106 @@ class UIController {
             }
         });
 
+        // Population density weight
+        const populationSlider = document.getElementById('population-weight');
+        const populationValue = document.getElementById('population-weight-value');
+        populationSlider.addEventListener('input', (e) => {
+            const value = parseInt(e.target.value);
+            populationValue.textContent = value;
+            this.stateManager.updateFeature('population', { weight: value });
+        });
+
+        // Population density direction toggle
+        const populationHigher = document.getElementById('population-higher');
+        const populationLower = document.getElementById('population-lower');
+        populationHigher.addEventListener('change', (e) => {
+            if (e.target.checked) {
+                this.stateManager.updateFeature('population', { direction: 'higher' });
+            }
+        });
+        populationLower.addEventListener('change', (e) => {
+            if (e.target.checked) {
+                this.stateManager.updateFeature('population', { direction: 'lower' });
+            }
+        });
+
+        // Household size weight
+        const householdSizeSlider = document.getElementById('household-size-weight');
+        const householdSizeValue = document.getElementById('household-size-weight-value');
+        householdSizeSlider.addEventListener('input', (e) => {
+            const value = parseInt(e.target.value);
+            householdSizeValue.textContent = value;
+            this.stateManager.updateFeature('householdSize', { weight: value });
+        });
+
+        // Household size direction toggle
+        const householdSizeHigher = document.getElementById('household-size-higher');
+        const householdSizeLower = document.getElementById('household-size-lower');
+        householdSizeHigher.addEventListener('change', (e) => {
+            if (e.target.checked) {
+                this.stateManager.updateFeature('householdSize', { direction: 'higher' });
+            }
+        });
+        householdSizeLower.addEventListener('change', (e) => {
+            if (e.target.checked) {
+                this.stateManager.updateFeature('householdSize', { direction: 'lower' });
+            }
+        });
+
+        // Median income weight
+        const incomeSlider = document.getElementById('income-weight');
+        const incomeValue = document.getElementById('income-weight-value');
+        incomeSlider.addEventListener('input', (e) => {
+            const value = parseInt(e.target.value);
+            incomeValue.textContent = value;
+            this.stateManager.updateFeature('income', { weight: value });
+        });
+
+        // Median income direction toggle
+        const incomeLower = document.getElementById('income-lower');
+        const incomeHigher = document.getElementById('income-higher');
+        incomeLower.addEventListener('change', (e) => {
+            if (e.target.checked) {
+                this.stateManager.updateFeature('income', { direction: 'lower' });
+            }
+        });
+        incomeHigher.addEventListener('change', (e) => {
+            if (e.target.checked) {
+                this.stateManager.updateFeature('income', { direction: 'higher' });
+            }
+        });
+
+        // Building permits weight
+        const permitsSlider = document.getElementById('permits-weight');
+        const permitsValue = document.getElementById('permits-weight-value');
+        permitsSlider.addEventListener('input', (e) => {
+            const value = parseInt(e.target.value);
+            permitsValue.textContent = value;
+            this.stateManager.updateFeature('permits', { weight: value });
+        });
+
+        // Building permits direction toggle
+        const permitsHigher = document.getElementById('permits-higher');
+        const permitsLower = document.getElementById('permits-lower');
+        permitsHigher.addEventListener('change', (e) => {
+            if (e.target.checked) {
+                this.stateManager.updateFeature('permits', { direction: 'higher' });
+            }
+        });
+        permitsLower.addEventListener('change', (e) => {
+            if (e.target.checked) {
+                this.stateManager.updateFeature('permits', { direction: 'lower' });
+            }
+        });
+
+        // Building permits lookback window
+        document.getElementById('permits-years').addEventListener('change', (e) => {
+            const years = parseInt(e.target.value);
+            if (years > 0) {
+                this.stateManager.updateFeature('permits', { years });
+            }
+        });
+
         // Transit Stop Density weight
         const transitDensitySlider = document.getElementById('transit-density-weight');
         const transitDensityValue = document.getElementById('transit-density-weight-value');
@@ -555,6 +967,446 @@ class UIController {
 
     }
 
+    setupFeatureRadiusControls() {
+        document.getElementById('global-radius').addEventListener('change', (e) => {
+            const radius = parseFloat(e.target.value);
+            if (radius > 0) {
+                this.stateManager.setGlobalRadius(radius);
+            }
+        });
+
+        document.getElementById('individual-radii').addEventListener('change', (e) => {
+            this.stateManager.setIndividualRadii(e.target.checked);
+            this.syncRadiusControls();
+        });
+
+        document.getElementById('distance-mode').addEventListener('change', (e) => {
+            this.stateManager.setDistanceMode(e.target.value);
+        });
+
+        // Add a radius row under the weight slider of every feature that searches within a radius
+        this.featureMetadata
+            .filter(meta => meta.metric === 'proximity' || meta.metric === 'density')
+            .forEach(meta => {
+                const slider = document.getElementById(this.featureSliderIds[meta.key]);
+                if (!slider) return;
+
+                const row = document.createElement('div');
+                row.className = 'feature-radius-row flex items-center space-x-2 mb-2';
+                row.dataset.metric = meta.metric;
+                row.innerHTML = `
+                    <span class="text-xs text-gray-500">Radius:</span>
+                    <input type="number" min="0.05" max="3.0" step="0.05" data-feature="${meta.key}"
+                           class="feature-radius-input w-20 px-2 py-1 text-xs border border-gray-300 rounded">
+                    <span class="text-xs text-gray-500">miles</span>
+                `;
+                slider.parentElement.insertAdjacentElement('afterend', row);
+
+                row.querySelector('input').addEventListener('change', (e) => {
+                    const radius = parseFloat(e.target.value);
+                    if (radius > 0) {
+                        this.stateManager.updateFeature(meta.key, { radius });
+                        this.syncRadiusControls();
+                    }
+                });
+            });
+
+        this.syncRadiusControls();
+    }
+
+    setupFeatureDecayControls() {
+        // Add a decay kernel selector under the weight slider of every proximity feature
+        this.featureMetadata
+            .filter(meta => meta.metric === 'proximity')
+            .forEach(meta => {
+                const slider = document.getElementById(this.featureSliderIds[meta.key]);
+                if (!slider) return;
+
+                const row = document.createElement('div');
+                row.className = 'feature-decay-row flex items-center space-x-2 mb-2';
+                row.innerHTML = `
+                    <span class="text-xs text-gray-500">Decay:</span>
+                    <select data-feature="${meta.key}" class="feature-decay-select px-2 py-1 text-xs border border-gray-300 rounded">
+                        ${Object.entries(this.decayKernels).map(([value, kernel]) =>
+                            `<option value="${value}">${kernel.label}</option>`).join('')}
+                    </select>
+                    <span class="feature-decay-midpoint flex items-center space-x-1">
+                        <span class="text-xs text-gray-500">Midpoint:</span>
+                        <input type="number" min="0.05" max="3.0" step="0.05" placeholder="½ radius"
+                               class="w-20 px-2 py-1 text-xs border border-gray-300 rounded">
+                        <span class="text-xs text-gray-500">miles</span>
+                    </span>
+                `;
+                slider.parentElement.insertAdjacentElement('afterend', row);
+
+                row.querySelector('select').addEventListener('change', (e) => {
+                    this.stateManager.updateFeature(meta.key, { decay: e.target.value });
+                    this.syncDecayControls();
+                });
+
+                row.querySelector('input').addEventListener('change', (e) => {
+                    const midpoint = parseFloat(e.target.value);
+                    this.stateManager.updateFeature(meta.key, { decayMidpoint: midpoint > 0 ? midpoint : null });
+                });
+            });
+
+        this.syncDecayControls();
+    }
+
+    syncDecayControls() {
+        document.querySelectorAll('.feature-decay-row').forEach(row => {
+            const select = row.querySelector('select');
+            const feature = this.stateManager.get(`features.${select.dataset.feature}`) || {};
+            select.value = feature.decay || 'linear';
+
+            // Midpoint only applies to the logistic kernel
+            const midpoint = row.querySelector('.feature-decay-midpoint');
+            midpoint.style.display = select.value === 'logistic' ? '' : 'none';
+            midpoint.querySelector('input').value = feature.decayMidpoint ?? '';
+        });
+    }
+
+    setupFeatureCumulativeControls() {
+        // Add a nearest/cumulative selector under the decay row of every proximity feature.
+        // Neighborhood centers (centroid distance) and bridge reuse (best bridge) stay nearest-only.
+        this.featureMetadata
+            .filter(meta => meta.metric === 'proximity' && !['neighborhoodCenter', 'bridgeReuse'].includes(meta.key))
+            .forEach(meta => {
+                const decaySelect = document.querySelector(`.feature-decay-select[data-feature="${meta.key}"]`);
+                if (!decaySelect) return;
+
+                const weightFields = this.cumulativeWeightFields[meta.key] || [];
+                const row = document.createElement('div');
+                row.className = 'feature-cumulative-row mb-2';
+                row.dataset.feature = meta.key;
+                row.innerHTML = `
+                    <div class="flex items-center space-x-2">
+                        <span class="text-xs text-gray-500">Score:</span>
+                        <select class="feature-mode-select px-2 py-1 text-xs border border-gray-300 rounded">
+                            <option value="nearest">Nearest only</option>
+                            <option value="cumulative">All within radius</option>
+                        </select>
+                    </div>
+                    <div class="feature-cumulative-options flex flex-wrap items-center gap-2 mt-1">
+                        ${weightFields.length > 0 ? `
+                        <select class="feature-weight-field-select px-2 py-1 text-xs border border-gray-300 rounded">
+                            <option value="">Each counts once</option>
+                            ${weightFields.map(field => `<option value="${field.field}">Weight by ${field.label}</option>`).join('')}
+                        </select>` : ''}
+                        <select class="feature-cumulative-normalization-select px-2 py-1 text-xs border border-gray-300 rounded">
+                            <option value="cap">Linear to cap</option>
+                            <option value="log">Log to cap</option>
+                            <option value="max">Relative to best segment</option>
+                        </select>
+                        <span class="feature-saturation flex items-center space-x-1">
+                            <span class="text-xs text-gray-500">Cap:</span>
+                            <input type="number" min="0.1" step="any"
+                                   class="w-20 px-2 py-1 text-xs border border-gray-300 rounded">
+                        </span>
+                    </div>
+                `;
+                decaySelect.closest('.feature-decay-row').insertAdjacentElement('afterend', row);
+
+                row.querySelector('.feature-mode-select').addEventListener('change', (e) => {
+                    this.stateManager.updateFeature(meta.key, { mode: e.target.value });
+                    this.syncCumulativeControls();
+                });
+
+                row.querySelector('.feature-weight-field-select')?.addEventListener('change', (e) => {
+                    // Switching the weighting changes the units of the sum, so reset the cap to suit
+                    const field = weightFields.find(f => f.field === e.target.value);
+                    this.stateManager.updateFeature(meta.key, {
+                        weightField: e.target.value || null,
+                        saturation: field ? field.saturation : this.defaultCumulativeSaturation
+                    });
+                    this.syncCumulativeControls();
+                });
+
+                row.querySelector('.feature-cumulative-normalization-select').addEventListener('change', (e) => {
+                    this.stateManager.updateFeature(meta.key, { cumulativeNormalization: e.target.value });
+                    this.syncCumulativeControls();
+                });
+
+                row.querySelector('.feature-saturation input').addEventListener('change', (e) => {
+                    const saturation = parseFloat(e.target.value);
+                    if (saturation > 0) {
+                        this.stateManager.updateFeature(meta.key, { saturation });
+                    }
+                });
+            });
+
+        this.syncCumulativeControls();
+    }
+
+    syncCumulativeControls() {
+        document.querySelectorAll('.feature-cumulative-row').forEach(row => {
+            const feature = this.stateManager.get(`features.${row.dataset.feature}`) || {};
+            const cumulative = feature.mode === 'cumulative';
+            const normalization = feature.cumulativeNormalization || 'cap';
+
+            row.querySelector('.feature-mode-select').value = cumulative ? 'cumulative' : 'nearest';
+            row.querySelector('.feature-cumulative-options').style.display = cumulative ? '' : 'none';
+
+            const weightFieldSelect = row.querySelector('.feature-weight-field-select');
+            if (weightFieldSelect) weightFieldSelect.value = feature.weightField || '';
+
+            row.querySelector('.feature-cumulative-normalization-select').value = normalization;
+
+            // The cap is unused when scores are relative to the best segment
+            const saturation = row.querySelector('.feature-saturation');
+            saturation.style.display = normalization === 'max' ? 'none' : '';
+            saturation.querySelector('input').value = feature.saturation ?? this.defaultCumulativeSaturation;
+        });
+    }
+
+    setupFeatureNormalizationControls() {
+        // Add a normalization selector under the weight slider of every feature scored from a raw metric
+        this.featureMetadata
+            .filter(meta => ['density', 'blockGroup', 'corridor', 'network'].includes(meta.metric))
+            .forEach(meta => {
+                const slider = document.getElementById(this.featureSliderIds[meta.key]);
+                if (!slider) return;
+
+                const row = document.createElement('div');
+                row.className = 'feature-normalization-row flex items-center space-x-2 mb-2';
+                row.innerHTML = `
+                    <span class="text-xs text-gray-500">Normalize:</span>
+                    <select data-feature="${meta.key}" class="feature-metric-normalization-select px-2 py-1 text-xs border border-gray-300 rounded">
+                        ${Object.entries(this.normalizationMethods).map(([value, method]) =>
+                            `<option value="${value}">${method.label}</option>`).join('')}
+                    </select>
+                `;
+                slider.parentElement.insertAdjacentElement('afterend', row);
+
+                row.querySelector('select').addEventListener('change', (e) => {
+                    this.stateManager.updateFeature(meta.key, { normalization: e.target.value });
+                });
+            });
+
+        this.syncNormalizationControls();
+    }
+
+    syncNormalizationControls() {
+        document.querySelectorAll('.feature-metric-normalization-select').forEach(select => {
+            const feature = this.stateManager.get(`features.${select.dataset.feature}`) || {};
+            select.value = feature.normalization || 'percentile';
+        });
+    }
+
+    setupCatchmentControls() {
+        document.getElementById('catchment-weighting').addEventListener('change', (e) => {
+            this.stateManager.updateBlockGroupCatchment({ weighting: e.target.value });
+            this.syncCatchmentControls();
+        });
+
+        document.getElementById('catchment-distance').addEventListener('change', (e) => {
+            const distance = parseFloat(e.target.value);
+            if (distance > 0) {
+                this.stateManager.updateBlockGroupCatchment({ distance });
+            }
+        });
+
+        this.syncCatchmentControls();
+    }
+
+    syncCatchmentControls() {
+        const catchment = this.stateManager.get('blockGroupCatchment');
+        document.getElementById('catchment-weighting').value = catchment.weighting;
+        document.getElementById('catchment-distance').value = catchment.distance;
+
+        // The distance only matters when averaging over block groups
+        document.getElementById('catchment-distance-row').style.display = catchment.weighting === 'centroid' ? 'none' : '';
+    }
+
+    setupFundingHorizonControls() {
+        document.getElementById('funding-horizon-year').addEventListener('change', (e) => {
+            const year = parseInt(e.target.value);
+            this.stateManager.updateFundingHorizon({ year: year > 0 ? year : null });
+        });
+
+        document.getElementById('funding-lifetime-weighting').addEventListener('change', (e) => {
+            this.stateManager.updateFundingHorizon({ weightByLifetime: e.target.checked });
+        });
+
+        this.syncFundingHorizonControls();
+    }
+
+    syncFundingHorizonControls() {
+        const fundingHorizon = this.stateManager.get('fundingHorizon');
+        document.getElementById('funding-horizon-year').value = fundingHorizon.year ?? '';
+        document.getElementById('funding-lifetime-weighting').checked = fundingHorizon.weightByLifetime;
+    }
+
+    setupCustomRuleControls() {
+        document.getElementById('require-custom-rules').addEventListener('change', (e) => {
+            const customRules = this.stateManager.get('requirements.customRules');
+            // Start the builder off with one empty rule so there's something to edit
+            const groups = customRules.groups.length > 0 ? customRules.groups : [this.createCustomRuleGroup()];
+            this.stateManager.updateRequirement('customRules', { enabled: e.target.checked, groups });
+            this.syncCustomRuleControls();
+        });
+
+        document.getElementById('custom-rules-combinator').addEventListener('change', (e) => {
+            this.stateManager.updateRequirement('customRules', { combinator: e.target.value });
+        });
+
+        document.getElementById('add-custom-rule-group').addEventListener('click', () => {
+            const groups = this.stateManager.get('requirements.customRules').groups;
+            this.updateCustomRuleGroups([...groups, this.createCustomRuleGroup()]);
+        });
+
+        // Rule rows are re-rendered on structural changes, so listen on the container
+        const container = document.getElementById('custom-rule-groups');
+        container.addEventListener('change', (e) => this.handleCustomRuleEdit(e));
+        container.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+
+            const groups = this.stateManager.get('requirements.customRules').groups.map(group => ({
+                ...group, rules: [...group.rules]
+            }));
+            const groupIndex = parseInt(button.dataset.group);
+            const ruleIndex = parseInt(button.dataset.rule);
+
+            if (button.dataset.action === 'add-rule') {
+                groups[groupIndex].rules.push(this.createCustomRule());
+            } else if (button.dataset.action === 'remove-rule') {
+                groups[groupIndex].rules.splice(ruleIndex, 1);
+                if (groups[groupIndex].rules.length === 0) groups.splice(groupIndex, 1);
+            }
+            this.updateCustomRuleGroups(groups);
+        });
+
+        this.syncCustomRuleControls();
+    }
+
+    createCustomRule() {
+        return { dataset: 'landmarks', predicate: 'within', distanceFt: 500, negate: false, field: '', operator: '=', value: '' };
+    }
+
+    createCustomRuleGroup() {
+        return { combinator: 'and', rules: [this.createCustomRule()] };
+    }
+
+    updateCustomRuleGroups(groups) {
+        this.stateManager.updateRequirement('customRules', { groups });
+        this.renderCustomRules();
+    }
+
+    // Write a single edited input back into its rule without re-rendering (keeps focus while typing)
+    handleCustomRuleEdit(e) {
+        const input = e.target;
+        const groupIndex = parseInt(input.dataset.group);
+        if (isNaN(groupIndex)) return;
+
+        const groups = this.stateManager.get('requirements.customRules').groups.map(group => ({
+            ...group, rules: [...group.rules]
+        }));
+
+        if (input.dataset.field === 'combinator') {
+            groups[groupIndex].combinator = input.value;
+        } else {
+            const ruleIndex = parseInt(input.dataset.rule);
+            let value = input.type === 'checkbox' ? input.checked : input.value;
+            if (input.dataset.field === 'distanceFt') value = Math.max(0, parseFloat(value) || 0);
+            groups[groupIndex].rules[ruleIndex] = { ...groups[groupIndex].rules[ruleIndex], [input.dataset.field]: value };
+
+            // The distance input only applies to 'within'
+            if (input.dataset.field === 'predicate') {
+                input.closest('.custom-rule-row').querySelector('.custom-rule-distance').style.display = value === 'within' ? '' : 'none';
+            }
+        }
+
+        this.stateManager.updateRequirement('customRules', { groups });
+    }
+
+    syncCustomRuleControls() {
+        const customRules = this.stateManager.get('requirements.customRules');
+        document.getElementById('require-custom-rules').checked = customRules.enabled;
+        document.getElementById('custom-rules-controls').style.display = customRules.enabled ? 'block' : 'none';
+        document.getElementById('custom-rules-combinator').value = customRules.combinator;
+        this.renderCustomRules();
+    }
+
+    renderCustomRules() {
+        const { groups } = this.stateManager.get('requirements.customRules');
+        const datasetOptions = Object.entries(this.datasetCatalog || {})
+            .filter(([key]) => key !== 'freeways')
+            .map(([key, dataset]) => ({ key, label: dataset.friendly_name || key }))
+            .sort((a, b) => a.label.localeCompare(b.label));
+
+        const options = (entries, selected) => entries
+            .map(([value, label]) => `<option value="${value}" ${value === selected ? 'selected' : ''}>${label}</option>`)
+            .join('');
+        const inputClass = 'px-1 py-1 text-xs border border-gray-300 rounded';
+        const attr = value => String(value ?? '').replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+
+        document.getElementById('custom-rule-groups').innerHTML = groups.map((group, groupIndex) => `
+            <div class="p-2 border border-gray-200 rounded bg-gray-50 space-y-2">
+                <div class="flex items-center space-x-2">
+                    <span class="text-xs text-gray-600">Group ${groupIndex + 1}: match</span>
+                    <select data-group="${groupIndex}" data-field="combinator" class="${inputClass}">
+                        ${options([['and', 'all rules'], ['or', 'any rule']], group.combinator)}
+                    </select>
+                </div>
+                ${group.rules.map((rule, ruleIndex) => {
+                    const data = `data-group="${groupIndex}" data-rule="${ruleIndex}"`;
+                    return `
+                    <div class="custom-rule-row space-y-1 pb-2 border-b border-gray-200">
+                        <div class="flex items-center space-x-1">
+                            <label class="flex items-center text-xs">
+                                <input type="checkbox" ${data} data-field="negate" class="mr-1" ${rule.negate ? 'checked' : ''}>not
+                            </label>
+                            <select ${data} data-field="predicate" class="${inputClass}">
+                                ${options(Object.entries(this.customRulePredicates), rule.predicate)}
+                            </select>
+                            <span class="custom-rule-distance flex items-center space-x-1" style="display: ${rule.predicate === 'within' ? '' : 'none'};">
+                                <input type="number" ${data} data-field="distanceFt" min="0" step="50" value="${rule.distanceFt ?? 0}" class="w-16 ${inputClass}">
+                                <span class="text-xs text-gray-500">ft of</span>
+                            </span>
+                            <select ${data} data-field="dataset" class="flex-1 min-w-0 ${inputClass}">
+                                ${options(datasetOptions.map(({ key, label }) => [key, label]), rule.dataset)}
+                            </select>
+                            <button type="button" data-action="remove-rule" ${data}
+                                    class="text-xs text-gray-400 hover:text-red-600" title="Remove rule">✕</button>
+                        </div>
+                        <div class="flex items-center space-x-1">
+                            <span class="text-xs text-gray-500">where</span>
+                            <input type="text" ${data} data-field="field" value="${attr(rule.field)}" placeholder="attribute (optional)" class="w-24 ${inputClass}">
+                            <select ${data} data-field="operator" class="${inputClass}">
+                                ${options(this.customRuleOperators.map(op => [op, op]), rule.operator || '=')}
+                            </select>
+                            <input type="text" ${data} data-field="value" value="${attr(rule.value)}" placeholder="value" class="w-20 ${inputClass}">
+                        </div>
+                    </div>`;
+                }).join('')}
+                <button type="button" data-action="add-rule" data-group="${groupIndex}"
+                        class="text-xs text-blue-600 hover:text-blue-800">+ Add rule</button>
+            </div>
+        `).join('');
+    }
+
+    // Reflect radius state in the controls; proximity rows only show in per-feature mode
+    syncRadiusControls() {
+        const individualRadii = this.stateManager.get('individualRadii');
+
+        document.getElementById('global-radius').value = this.stateManager.get('globalRadius');
+        document.getElementById('individual-radii').checked = individualRadii;
+        document.getElementById('distance-mode').value = this.stateManager.get('distanceMode');
+
+        document.querySelectorAll('.feature-radius-row').forEach(row => {
+            const input = row.querySelector('input');
+            input.value = this.stateManager.get(`features.${input.dataset.feature}.radius`);
+            row.style.display = (row.dataset.metric === 'density' || individualRadii) ? '' : 'none';
+        });
+
+        // Density help text names the feature's own radius
+        document.querySelectorAll('.feature-radius-text').forEach(span => {
+            const radius = this.stateManager.get(`features.${span.dataset.feature}.radius`);
+            span.textContent = `${radius} ${radius === 1 ? 'mile' : 'miles'}`;
+        });
+    }
+
     applyScenario(scenarioId) {
         console.log(`Applying scenario: ${scenarioId}`);
         const scenario = this.scenarios[scenarioId];
@@ -591,6 +1443,7 @@ class UIController {
         // Reset all requirements first (for best-overall and scenarios without specific requirements)
         this.stateManager.updateRequirement('stationProximity', { enabled: false, distance: 0.5 });
         this.stateManager.updateRequirement('bridgeAge', { enabled: false, threshold: 80 });
+        this.stateManager.updateRequirement('bridgeCondition', { enabled: false, minRating: 5, maxInspectionAge: null, nhs: 'any' });
         this.stateManager.updateRequirement('neighborhoods', { enabled: false, selected: [] });
         this.stateManager.updateRequirement('zoning', { enabled: false, allowed: [] });
         this.stateManager.updateRequirement('ssa', { enabled: false });
@@ -617,6 +1470,11 @@ class UIController {
             document.getElementById('bridge-age-controls').style.display = 'none';
         }
 
+        if (scenario.requirements.bridgeCondition) {
+            this.stateManager.updateRequirement('bridgeCondition', scenario.requirements.bridgeCondition);
+        }
+        this.syncBridgeRatingControls();
+
         if (scenario.requirements.zoning) {
             this.stateManager.updateRequirement('zoning', scenario.requirements.zoning);
             // Update zoning checkboxes
@@ -646,29 +1504,7 @@ class UIController {
             this.stateManager.updateFeature(featureKey, { weight });
 
             // Update UI sliders and values
-            const sliderIdMap = {
-                ctaStations: 'cta-weight',
-                metraStations: 'metra-stations-weight',
-                amtrakStations: 'amtrak-stations-weight',
-                parks: 'parks-weight',
-                publicSchools: 'public-schools-weight',
-                privateSchools: 'private-schools-weight',
-                colleges: 'colleges-weight',
-                hospitals: 'hospitals-weight',
-                landmarks: 'landmarks-weight',
-                stadiums: 'stadiums-weight',
-                bridges: 'bridges-weight',
-                ssa: 'ssa-weight',
-                tif: 'tif-weight',
-                medicalDistrict: 'medical-district-weight',
-                neighborhoodCenter: 'neighborhood-center-weight',
-                adi: 'adi-weight',
-                crashes: 'crashes-weight',
-                transitDensity: 'transit-density-weight',
-                bikeNetwork: 'bike-network-weight'
-            };
-
-            const sliderId = sliderIdMap[featureKey];
+            const sliderId = this.featureSliderIds[featureKey];
             if (sliderId) {
                 const slider = document.getElementById(sliderId);
                 const valueSpan = document.getElementById(sliderId + '-value');
@@ -688,7 +1524,11 @@ class UIController {
                 const directionIdMap = {
                     crashes: { higher: 'crashes-higher', lower: 'crashes-lower' },
                     adi: { higher: 'adi-higher', lower: 'adi-lower' },
-                    transitDensity: { higher: 'transit-density-higher', lower: 'transit-density-lower' }
+                    transitDensity: { higher: 'transit-density-higher', lower: 'transit-density-lower' },
+                    population: { higher: 'population-higher', lower: 'population-lower' },
+                    householdSize: { higher: 'household-size-higher', lower: 'household-size-lower' },
+                    income: { higher: 'income-higher', lower: 'income-lower' },
+                    permits: { higher: 'permits-higher', lower: 'permits-lower' }
                 };
 
                 const radioIds = directionIdMap[featureKey];
@@ -707,6 +1547,35 @@ class UIController {
             });
         }
 
+        // Apply radii - scenarios with their own radii switch to per-feature mode
+        Object.entries(this.defaultFeatureRadii).forEach(([featureKey, radius]) => {
+            this.stateManager.updateFeature(featureKey, { radius: scenario.radii?.[featureKey] ?? radius });
+        });
+        this.stateManager.setGlobalRadius(scenario.globalRadius || 1.0);
+        this.stateManager.setIndividualRadii(!!scenario.radii);
+        this.syncRadiusControls();
+
+        // Apply decay kernels
+        Object.entries(this.defaultFeatureDecays).forEach(([featureKey, decay]) => {
+            this.stateManager.updateFeature(featureKey, {
+                decay: scenario.decays?.[featureKey] ?? decay,
+                decayMidpoint: null
+            });
+        });
+        this.syncDecayControls();
+
+        // Apply cumulative scoring (scenarios score by the nearest feature unless they say otherwise)
+        Object.keys(this.defaultFeatureDecays).forEach(featureKey => {
+            this.stateManager.updateFeature(featureKey, {
+                mode: 'nearest',
+                weightField: null,
+                cumulativeNormalization: 'cap',
+                saturation: this.defaultCumulativeSaturation,
+                ...scenario.cumulative?.[featureKey]
+            });
+        });
+        this.syncCumulativeControls();
+
         console.log(`✅ Applied scenario: ${scenario.name}`);
     }
 
@@ -736,6 +1605,36 @@ class UIController {
         this.stateManager.subscribe('selectedSegment', (segmentId) => {
             this.updateSelectedSegment(segmentId);
         });
+
+        // Corridor buffer settings
+        this.stateManager.subscribe('showBuffer', () => this.updateCorridorBuffer());
+        this.stateManager.subscribe('bufferDistance', () => this.updateCorridorBuffer());
+        this.stateManager.subscribe('selectedHighways', () => this.updateCorridorBuffer());
+
+        // Feature weight changes re-rank existing results in place instead of re-running the analysis. Any other
+        // change to the configuration the worker ran with (radii, directions, requirements...) leaves them stale.
+        const analysisKeys = new Set(Object.keys(this.stateManager.getAnalysisConfiguration()));
+        this.stateManager.subscribe('stateChange', ({ key, value, oldValue }) => {
+            if (!this.stateManager.get('analysisResults') || !analysisKeys.has(key.split('.')[0])) return;
+
+            // update() emits even when nothing changed, and arrays are replaced rather than edited, so compare
+            // by content, field by field for objects
+            const same = (a, b) => a === b || JSON.stringify(a) === JSON.stringify(b);
+            const isObject = value !== null && typeof value === 'object' && !Array.isArray(value);
+            const changed = isObject
+                ? Object.keys({ ...oldValue, ...value }).filter(field => !same(value[field], oldValue?.[field]))
+                : (same(value, oldValue) ? [] : [key]);
+            if (changed.length === 0) return;
+
+            if (key.startsWith('features.') && changed.every(field => field === 'weight')) {
+                this.scheduleRerank();
+            } else {
+                this.stateManager.set('resultsStale', true);
+            }
+        });
+        this.stateManager.subscribe('resultsStale', (stale) => {
+            document.getElementById('results-stale-notice').classList.toggle('hidden', !stale);
+        });
     }
 
     initializeUI() {
@@ -748,6 +1647,14 @@ class UIController {
         // Set initial tab
         this.switchToTab('explore');
 
+        // Initialize corridor buffer controls
+        document.getElementById('show-buffer').checked = this.stateManager.get('showBuffer');
+        document.getElementById('buffer-distance').value = this.stateManager.get('bufferDistance');
+        const selectedHighways = this.stateManager.get('selectedHighways');
+        document.querySelectorAll('.buffer-highway').forEach(checkbox => {
+            checkbox.checked = selectedHighways.includes(checkbox.dataset.highway);
+        });
+
         // Initialize weight displays
         document.getElementById('cta-weight-value').textContent =
             this.stateManager.get('features.ctaStations.weight');
@@ -777,8 +1684,18 @@ class UIController {
             this.stateManager.get('features.medicalDistrict.weight');
         document.getElementById('neighborhood-center-weight-value').textContent =
             this.stateManager.get('features.neighborhoodCenter.weight');
+        document.getElementById('neighborhood-reconnection-weight-value').textContent =
+            this.stateManager.get('features.neighborhoodReconnection.weight');
+        document.getElementById('crossing-gap-weight-value').textContent =
+            this.stateManager.get('features.crossingGap.weight');
+        document.getElementById('detour-reduction-weight-value').textContent =
+            this.stateManager.get('features.detourReduction.weight');
+        document.getElementById('detour-metric').value =
+            this.stateManager.get('features.detourReduction.metric');
         document.getElementById('bridges-weight-value').textContent =
             this.stateManager.get('features.bridges.weight');
+        document.getElementById('bridge-reuse-weight-value').textContent =
+            this.stateManager.get('features.bridgeReuse.weight');
         document.getElementById('adi-weight-value').textContent =
             this.stateManager.get('features.adi.weight');
         document.getElementById('crashes-weight-value').textContent =
@@ -787,6 +1704,16 @@ class UIController {
             this.stateManager.get('features.transitDensity.weight');
         document.getElementById('bike-network-weight-value').textContent =
             this.stateManager.get('features.bikeNetwork.weight');
+        document.getElementById('population-weight-value').textContent =
+            this.stateManager.get('features.population.weight');
+        document.getElementById('household-size-weight-value').textContent =
+            this.stateManager.get('features.householdSize.weight');
+        document.getElementById('income-weight-value').textContent =
+            this.stateManager.get('features.income.weight');
+        document.getElementById('permits-weight-value').textContent =
+            this.stateManager.get('features.permits.weight');
+        document.getElementById('permits-years').value =
+            this.stateManager.get('features.permits.years');
 
         // Initialize direction toggles
         const adiDirection = this.stateManager.get('features.adi.direction');
@@ -804,6 +1731,22 @@ class UIController {
         const bikeNetworkDirection = this.stateManager.get('features.bikeNetwork.direction');
         document.getElementById('bike-network-higher').checked = (bikeNetworkDirection === 'higher');
         document.getElementById('bike-network-lower').checked = (bikeNetworkDirection === 'lower');
+
+        const populationDirection = this.stateManager.get('features.population.direction');
+        document.getElementById('population-higher').checked = (populationDirection === 'higher');
+        document.getElementById('population-lower').checked = (populationDirection === 'lower');
+
+        const householdSizeDirection = this.stateManager.get('features.householdSize.direction');
+        document.getElementById('household-size-higher').checked = (householdSizeDirection === 'higher');
+        document.getElementById('household-size-lower').checked = (householdSizeDirection === 'lower');
+
+        const incomeDirection = this.stateManager.get('features.income.direction');
+        document.getElementById('income-lower').checked = (incomeDirection === 'lower');
+        document.getElementById('income-higher').checked = (incomeDirection === 'higher');
+
+        const permitsDirection = this.stateManager.get('features.permits.direction');
+        document.getElementById('permits-higher').checked = (permitsDirection === 'higher');
+        document.getElementById('permits-lower').checked = (permitsDirection === 'lower');
     }
 
     getDatasetColor(key) {
@@ -841,6 +1784,9 @@ class UIController {
             'special_service_areas': '#bcbd22',  // Yellow-green - SSA
             'tif_districts': '#17becf',          // Cyan - TIF
 
+            // Development (matching Results panel colors)
+            'building_permits': '#6c757d',       // Gray - Building Permits
+
             // Foundation
             'chicago_boundary': '#007bff',       // Blue for city boundaries
             'freeways': '#28a745'                // Green for freeway centerlines
@@ -907,7 +1853,8 @@ class UIController {
             'recreation': [],
             'points_of_interest': [],
             'planning': [],
-            'block_groups': []
+            'block_groups': [],
+            'development': []
         };
 
         Object.entries(this.datasetCatalog).forEach(([key, dataset]) => {
@@ -919,7 +1866,7 @@ class UIController {
             // Categorize datasets based on their key/name
             if (key.includes('cta_') || key.includes('metra') || key.includes('amtrak') || key.includes('bus')) {
                 categories.transit.push({ key, dataset });
-            } else if (key.includes('bike') || key.includes('sidewalk')) {
+            } else if (key.includes('bike') || key.includes('sidewalk') || key.includes('street')) {
                 categories.transportation.push({ key, dataset });
             } else if (key.includes('freeway')) {
                 // Moved Freeway Centerlines to Foundation category
@@ -937,6 +1884,8 @@ class UIController {
                 categories.planning.push({ key, dataset });
             } else if (key.includes('bridge')) {
                 categories.infrastructure.push({ key, dataset });
+            } else if (key.includes('permit')) {
+                categories.development.push({ key, dataset });
             } else {
                 categories.foundation.push({ key, dataset });
             }
@@ -1512,9 +2461,26 @@ async loadGeoJSONData(path) {
             'block_groups_with_census',
             'cta_bus_stops',
             'pace_bus_stops',
-            'bike_routes'
+            'bike_routes',
+            'building_permits',
+            'street_centerlines',
+            'sidewalks',
+            'freeway_right_of_way'
         ];
 
+        // Datasets referenced by custom rules also need to reach the worker
+        const customRules = this.stateManager.get('requirements.customRules');
+        if (customRules.enabled) {
+            customRules.groups.forEach(group => group.rules.forEach(rule => {
+                if (rule.dataset && !requiredDatasets.includes(rule.dataset)) {
+                    requiredDatasets.push(rule.dataset);
+                }
+            }));
+        }
+
+        // Datasets that couldn't be loaded, so the results can explain which features have no data
+        this.unavailableDatasets = [];
+
         for (const datasetKey of requiredDatasets) {
             if (this.datasetCatalog[datasetKey]) {
                 try {
@@ -1522,7 +2488,10 @@ async loadGeoJSONData(path) {
                     datasets[datasetKey] = data;
                 } catch (error) {
                     console.warn(`Failed to load dataset ${datasetKey}:`, error);
+                    this.unavailableDatasets.push(datasetKey);
                 }
+            } else {
+                this.unavailableDatasets.push(datasetKey);
             }
         }
 
@@ -1739,6 +2708,16 @@ async loadGeoJSONData(path) {
                         data-view="rankings">
                     Rankings
                 </button>
+                <button id="results-stretches-btn"
+                        class="results-view-btn flex-1 px-3 py-1.5 text-xs font-medium rounded border transition-colors"
+                        data-view="stretches">
+                    Stretches
+                </button>
+                <button id="results-portfolio-btn"
+                        class="results-view-btn flex-1 px-3 py-1.5 text-xs font-medium rounded border transition-colors"
+                        data-view="portfolio">
+                    Portfolio
+                </button>
                 <button id="results-methodology-btn"
                         class="results-view-btn flex-1 px-3 py-1.5 text-xs font-medium rounded border transition-colors"
                         data-view="methodology">
@@ -1748,30 +2727,121 @@ async loadGeoJSONData(path) {
         `;
         resultsList.appendChild(viewSelectorDiv);
 
+        // Live weight adjustment (re-ranks without re-running the analysis)
+        resultsList.appendChild(this.createWeightAdjustmentPanel());
+
         // Container for view content
         const viewContentDiv = document.createElement('div');
         viewContentDiv.id = 'results-view-content';
         resultsList.appendChild(viewContentDiv);
 
         // Add event listeners for view selector
-        const rankingsBtn = viewSelectorDiv.querySelector('#results-rankings-btn');
-        const methodologyBtn = viewSelectorDiv.querySelector('#results-methodology-btn');
+        viewSelectorDiv.querySelectorAll('.results-view-btn').forEach(button => {
+            button.addEventListener('click', () => {
+                this.stateManager.set('resultsView', button.dataset.view);
+                this.renderResultsView();
+            });
+        });
 
-        rankingsBtn.addEventListener('click', () => {
-            this.stateManager.set('resultsView', 'rankings');
-            this.renderResultsView();
+        // Initial render
+        this.renderResultsView();
+
+        // Add excluded segments underneath the ranked ones, then the ranked segments
+        this.addExcludedSegmentsToMap(results.excludedSegments || []);
+        this.addSegmentsToMap(results.segments, minScore, maxScore);
+    }
+
+    createWeightAdjustmentPanel() {
+        const panel = document.createElement('details');
+        panel.id = 'results-weight-panel';
+        panel.className = 'mb-4 p-3 bg-gray-50 rounded';
+
+        const features = this.stateManager.get('features') || {};
+
+        panel.innerHTML = `
+            <summary class="text-xs font-medium text-gray-700 cursor-pointer">Adjust Weights</summary>
+            <div class="text-gray-500 mt-2 mb-2" style="font-size: 0.7rem; line-height: 1.3;">
+                Rankings update instantly. Radius, direction and requirement changes still need a new analysis.
+            </div>
+            <div class="space-y-2">
+                ${this.featureMetadata.map(meta => {
+                    const weight = features[meta.key]?.weight || 0;
+                    return `
+                        <div>
+                            <div class="text-xs text-gray-600">${meta.label}</div>
+                            <div class="flex items-center gap-2">
+                                <input type="range" min="0" max="10" value="${weight}" data-feature="${meta.key}"
+                                       class="results-weight-slider flex-1 h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer">
+                                <span class="text-xs font-medium text-gray-700 w-6">${weight}</span>
+                            </div>
+                        </div>
+                    `;
+                }).join('')}
+            </div>
+        `;
+
+        panel.querySelectorAll('.results-weight-slider').forEach(slider => {
+            slider.addEventListener('input', (e) => {
+                const featureKey = e.target.dataset.feature;
+                const value = parseInt(e.target.value);
+                e.target.nextElementSibling.textContent = value;
+
+                // Keep the preferences panel in sync for the next full analysis
+                const sliderId = this.featureSliderIds[featureKey];
+                const preferenceSlider = document.getElementById(sliderId);
+                const preferenceValue = document.getElementById(sliderId + '-value');
+                if (preferenceSlider && preferenceValue) {
+                    preferenceSlider.value = value;
+                    preferenceValue.textContent = value;
+                }
+
+                this.stateManager.updateFeature(featureKey, { weight: value });
+            });
         });
 
-        methodologyBtn.addEventListener('click', () => {
-            this.stateManager.set('resultsView', 'methodology');
-            this.renderResultsView();
+        return panel;
+    }
+
+    scheduleRerank() {
+        // Coalesce rapid slider input into one re-rank per frame
+        if (this.rerankFrame !== null) return;
+
+        this.rerankFrame = requestAnimationFrame(() => {
+            this.rerankFrame = null;
+            this.rerankResults();
         });
+    }
+
+    rerankResults() {
+        const results = this.stateManager.get('analysisResults');
+        if (!results || !results.segments || results.segments.length === 0) return;
+
+        // Recompute composite scores from the raw feature scores returned by the worker. Sliding windows
+        // are re-ranked from every window, since which overlapping ones survive depends on the weights.
+        const calculator = new ScoreCalculator(this.stateManager.get('features'));
+        const segments = results.candidateWindows
+            ? calculator.rankSegments(results.candidateWindows, true)
+            : calculator.rankSegments(results.segments);
+        const rerankedResults = { ...results, segments };
+
+        this.stateManager.set('analysisResults', rerankedResults);
+        this.stateManager.set('rankedSegments', segments);
+
+        const scores = segments.map(s => s.score);
+        this.analysisMinScore = Math.min(...scores);
+        this.analysisMaxScore = Math.max(...scores);
 
-        // Initial render
         this.renderResultsView();
+        this.addSegmentsToMap(segments, this.analysisMinScore, this.analysisMaxScore);
+        this.mapComponent.updateMinimapSegments(segments);
 
-        // Add segments to map
-        this.addSegmentsToMap(results.segments, minScore, maxScore);
+        const selectedSegment = this.stateManager.get('selectedSegment');
+        if (selectedSegment) {
+            document.querySelectorAll('.result-item').forEach(item => {
+                item.classList.toggle('selected', item.dataset.segmentId === selectedSegment);
+            });
+            this.updateSegmentDetails(selectedSegment, false);
+        }
     }
 
     renderResultsView() {
@@ -1782,22 +2852,18 @@ async loadGeoJSONData(path) {
         const results = this.stateManager.get('analysisResults');
 
         // Update button styles
-        const rankingsBtn = document.getElementById('results-rankings-btn');
-        const methodologyBtn = document.getElementById('results-methodology-btn');
-
-        if (rankingsBtn && methodologyBtn) {
-            if (currentView === 'rankings') {
-                rankingsBtn.classList.add('active');
-                methodologyBtn.classList.remove('active');
-            } else {
-                rankingsBtn.classList.remove('active');
-                methodologyBtn.classList.add('active');
-            }
-        }
+        document.querySelectorAll('.results-view-btn').forEach(button => {
+            button.classList.toggle('active', button.dataset.view === currentView);
+        });
 
         // Clear existing content
         viewContent.innerHTML = '';
 
+        // Cap stretch polygons only show alongside their list
+        if (currentView !== 'stretches' && currentView !== 'portfolio') {
+            this.mapComponent.showCapStretches([]);
+        }
+
         if (currentView === 'rankings') {
             // Add results summary at top of rankings view
             const summaryDiv = document.createElement('div');
@@ -1805,25 +2871,470 @@ async loadGeoJSONData(path) {
             summaryDiv.innerHTML = `
                 <div class="font-medium text-gray-700 mb-1">Analysis Complete</div>
                 <div class="text-gray-600">
-                    ${results.segments.length} segments analyzed<br>
+                    ${results.candidateWindows
+                        ? `${results.segments.length} non-overlapping windows from ${results.candidateWindows.length} scored`
+                        : `${results.segments.length} segments analyzed`}<br>
                     Top score: ${this.analysisMaxScore.toFixed(1)}<br>
                     Bottom score: ${this.analysisMinScore.toFixed(1)}
                 </div>
+                <div class="flex gap-2 mt-2">
+                    <button class="results-export-btn px-2 py-1 text-xs border border-gray-300 rounded hover:bg-gray-100" data-format="csv">
+                        Export CSV
+                    </button>
+                    <button class="results-export-btn px-2 py-1 text-xs border border-gray-300 rounded hover:bg-gray-100" data-format="geojson">
+                        Export GeoJSON
+                    </button>
+                </div>
             `;
+            summaryDiv.querySelectorAll('.results-export-btn').forEach(button => {
+                button.addEventListener('click', () => this.exportResults(button.dataset.format));
+            });
             viewContent.appendChild(summaryDiv);
 
+            // How many segments each requirement gate removed (built once per analysis, re-ranks keep it)
+            const exclusionDiv = this.getExclusionSummary(results);
+            if (exclusionDiv) {
+                viewContent.appendChild(exclusionDiv);
+            }
+
+            // Flag weighted features that had no data for some or all segments
+            const missingDataDiv = this.createMissingDataSummary(results.segments);
+            if (missingDataDiv) {
+                viewContent.appendChild(missingDataDiv);
+            }
+
             // Render rankings list
             results.segments.forEach(segment => {
                 const resultItem = this.createResultItem(segment, this.analysisMinScore, this.analysisMaxScore);
                 viewContent.appendChild(resultItem);
             });
+        } else if (currentView === 'stretches') {
+            this.renderCapStretchesView(viewContent);
+        } else if (currentView === 'portfolio') {
+            this.renderPortfolioView(viewContent);
         } else {
             // Render methodology view
             this.renderMethodologyView(viewContent);
         }
     }
 
+    renderCapStretchesView(container) {
+        const results = this.stateManager.get('analysisResults');
+        const { targetLengthFt, count } = this.stateManager.get('capStretches');
+        const capSegments = this.getCapSegments(results);
+        const stretches = new ScoreCalculator(this.stateManager.get('features'))
+            .findCapStretches(capSegments, targetLengthFt, count);
+
+        const controls = document.createElement('div');
+        controls.className = 'mb-4 p-3 bg-gray-50 rounded text-sm';
+        controls.innerHTML = `
+            <div class="font-medium text-gray-700 mb-1">Cap Stretches</div>
+            <div class="text-gray-500 mb-2" style="font-size: 0.7rem; line-height: 1.3;">
+                Best continuous runs of adjacent eligible segments, scored by the length-weighted average of their segment scores. Candidates never overlap.
+            </div>
+            <div class="flex items-center gap-2 mb-1">
+                <span class="text-xs text-gray-500">Cap length:</span>
+                <input type="number" id="cap-stretch-length" min="100" max="10000" step="100" value="${targetLengthFt}"
+                       class="w-20 px-2 py-1 text-xs border border-gray-300 rounded">
+                <span class="text-xs text-gray-500">ft</span>
+            </div>
+            <div class="flex items-center gap-2">
+                <span class="text-xs text-gray-500">Candidates:</span>
+                <input type="number" id="cap-stretch-count" min="1" max="25" step="1" value="${count}"
+                       class="w-20 px-2 py-1 text-xs border border-gray-300 rounded">
+            </div>
+        `;
+        container.appendChild(controls);
+
+        const slidingNote = this.createSlidingCapNote(results);
+        if (slidingNote) {
+            container.appendChild(slidingNote);
+        }
+
+        controls.querySelector('#cap-stretch-length').addEventListener('change', (e) => {
+            const length = parseFloat(e.target.value);
+            if (length > 0) {
+                this.stateManager.updateCapStretches({ targetLengthFt: length });
+                this.renderResultsView();
+            }
+        });
+
+        controls.querySelector('#cap-stretch-count').addEventListener('change', (e) => {
+            const candidates = parseInt(e.target.value);
+            if (candidates > 0) {
+                this.stateManager.updateCapStretches({ count: candidates });
+                this.renderResultsView();
+            }
+        });
+
+        if (stretches.length === 0) {
+            const emptyDiv = document.createElement('div');
+            emptyDiv.className = 'text-xs text-gray-500';
+            emptyDiv.textContent = `No run of adjacent eligible segments is ${targetLengthFt.toLocaleString()} ft long.`;
+            container.appendChild(emptyDiv);
+        }
+
+        stretches.forEach(stretch => {
+            container.appendChild(this.createCapStretchItem(stretch, this.analysisMinScore, this.analysisMaxScore));
+        });
+
+        this.mapComponent.showCapStretches(this.buildCapStretchFeatures(stretches, capSegments));
+    }
+
+    /**
+     * Segments that cap stretches and portfolios chain together. Sliding-window rankings keep only the best
+     * non-overlapping windows, which rarely meet end to end, so caps are chained from every window instead,
+     * scored with the current weights.
+     */
+    getCapSegments(results) {
+        if (!results.candidateWindows) return results.segments;
+        return new ScoreCalculator(this.stateManager.get('features')).rankSegments(results.candidateWindows);
+    }
+
+    /**
+     * Note for the Stretches and Portfolio views in sliding-window mode: caps are chained from every window,
+     * overlapping where the window length isn't a multiple of the step
+     * @returns {HTMLElement|null}
+     */
+    createSlidingCapNote(results) {
+        const segmentation = results.segmentation;
+        if (segmentation?.mode !== 'sliding') return null;
+
+        const aligned = segmentation.lengthFt % segmentation.stepFt === 0;
+        const div = document.createElement('div');
+        div.className = 'mb-4 p-3 bg-gray-50 rounded text-xs text-gray-600';
+        div.textContent = aligned
+            ? `Caps are chained from the ${segmentation.lengthFt} ft sliding windows that meet end to end, not only the ranked ones.`
+            : `Caps are chained from the ${segmentation.lengthFt} ft sliding windows, not only the ranked ones. The length isn't a multiple of the ${segmentation.stepFt} ft step, so consecutive windows overlap slightly; the overlap counts once.`;
+        return div;
+    }
+
+    /**
+     * Solve the portfolio, or reuse the last solution if the results (re-ranking replaces them) and the
+     * portfolio settings haven't changed - each solve is several branch-and-bound searches
+     * @returns {Object} { capSegments, optimizer, portfolio } - portfolio is null when there are no candidate caps
+     */
+    getPortfolio(results, settings, targetLengthFt, coverageNeighborhoods) {
+        const key = JSON.stringify({ settings, targetLengthFt, coverageNeighborhoods });
+        if (this.portfolioCache?.results === results && this.portfolioCache.key === key) {
+            return this.portfolioCache;
+        }
+
+        const capSegments = this.getCapSegments(results);
+        const windows = new ScoreCalculator(this.stateManager.get('features')).getCapWindows(capSegments, targetLengthFt);
+        const optimizer = new PortfolioOptimizer(windows, { ...settings, coverageNeighborhoods }, ScoreCalculator.ROUTE_TOLERANCE_FT);
+        const portfolio = windows.length > 0 ? optimizer.optimize() : null;
+
+        this.portfolioCache = { results, key, capSegments, optimizer, portfolio };
+        return this.portfolioCache;
+    }
+
+    renderPortfolioView(container) {
+        const results = this.stateManager.get('analysisResults');
+        const settings = this.stateManager.get('portfolio');
+        const { targetLengthFt } = this.stateManager.get('capStretches');
+
+        // Neighborhood coverage uses the neighborhoods picked under Requirements, if any
+        const neighborhoodRequirement = this.stateManager.get('requirements').neighborhoods;
+        const coverageNeighborhoods = neighborhoodRequirement.enabled ? neighborhoodRequirement.selected || [] : [];
+
+        const controls = document.createElement('div');
+        controls.className = 'mb-4 p-3 bg-gray-50 rounded text-sm';
+        controls.innerHTML = `
+            <div class="font-medium text-gray-700 mb-1">Portfolio</div>
+            <div class="text-gray-500 mb-2" style="font-size: 0.7rem; line-height: 1.3;">
+                The set of ${targetLengthFt.toLocaleString()} ft caps (see Stretches) with the highest total score that fits the budget, count and spacing.
+            </div>
+            <div class="flex items-center gap-2 mb-1">
+                <span class="text-xs text-gray-500">Budget:</span>
+                <input type="number" id="portfolio-budget" min="0" step="${settings.budgetType === 'cost' ? 10 : 500}" value="${settings.budget}"
+                       class="w-20 px-2 py-1 text-xs border border-gray-300 rounded">
+                <select id="portfolio-budget-type" class="px-2 py-1 text-xs border border-gray-300 rounded">
+                    <option value="length" ${settings.budgetType === 'length' ? 'selected' : ''}>ft of cap</option>
+                    <option value="cost" ${settings.budgetType === 'cost' ? 'selected' : ''}>$ million</option>
+                </select>
+            </div>
+            <div class="flex items-center gap-2 mb-1 ${settings.budgetType === 'cost' ? '' : 'hidden'}">
+                <span class="text-xs text-gray-500">Cost per ft:</span>
+                <input type="number" id="portfolio-cost-per-foot" min="0" step="1000" value="${settings.costPerFoot}"
+                       class="w-20 px-2 py-1 text-xs border border-gray-300 rounded">
+                <span class="text-xs text-gray-500">$</span>
+            </div>
+            <div class="flex items-center gap-2 mb-1">
+                <span class="text-xs text-gray-500">Up to:</span>
+                <input type="number" id="portfolio-max-count" min="1" max="20" step="1" value="${settings.maxCount}"
+                       class="w-20 px-2 py-1 text-xs border border-gray-300 rounded">
+                <span class="text-xs text-gray-500">caps</span>
+            </div>
+            <div class="flex items-center gap-2 mb-1">
+                <span class="text-xs text-gray-500">At least:</span>
+                <input type="number" id="portfolio-min-spacing" min="0" step="500" value="${settings.minSpacingFt}"
+                       class="w-20 px-2 py-1 text-xs border border-gray-300 rounded">
+                <span class="text-xs text-gray-500">ft apart</span>
+            </div>
+            <div class="flex items-center gap-2">
+                <span class="text-xs text-gray-500">Require:</span>
+                <select id="portfolio-coverage" class="px-2 py-1 text-xs border border-gray-300 rounded">
+                    <option value="none" ${settings.coverage === 'none' ? 'selected' : ''}>No coverage</option>
+                    <option value="corridor" ${settings.coverage === 'corridor' ? 'selected' : ''}>A cap on every freeway</option>
+                    <option value="neighborhood" ${settings.coverage === 'neighborhood' ? 'selected' : ''}>A cap in every ${coverageNeighborhoods.length > 0 ? 'selected ' : ''}neighborhood</option>
+                </select>
+            </div>
+        `;
+        container.appendChild(controls);
+
+        const slidingNote = this.createSlidingCapNote(results);
+        if (slidingNote) {
+            container.appendChild(slidingNote);
+        }
+
+        const bindSetting = (id, key, parse) => {
+            controls.querySelector(id).addEventListener('change', (e) => {
+                const value = parse(e.target.value);
+                if (value === null || Number.isNaN(value) || value < 0) return;
+                this.stateManager.updatePortfolio({ [key]: value });
+                this.renderResultsView();
+            });
+        };
+        bindSetting('#portfolio-budget', 'budget', parseFloat);
+
+        // Convert the budget between feet and $ millions at the current cost per foot
+        controls.querySelector('#portfolio-budget-type').addEventListener('change', (e) => {
+            const budgetType = e.target.value;
+            const { budget, costPerFoot } = settings;
+            let converted = budget;
+            if (budgetType === 'cost' && settings.budgetType !== 'cost') {
+                converted = Math.round(budget * costPerFoot / 1e5) / 10;
+            } else if (budgetType !== 'cost' && settings.budgetType === 'cost' && costPerFoot > 0) {
+                converted = Math.round(budget * 1e6 / costPerFoot);
+            }
+            this.stateManager.updatePortfolio({ budgetType, budget: converted });
+            this.renderResultsView();
+        });
+        bindSetting('#portfolio-cost-per-foot', 'costPerFoot', parseFloat);
+        bindSetting('#portfolio-max-count', 'maxCount', value => parseInt(value) || null);
+        bindSetting('#portfolio-min-spacing', 'minSpacingFt', parseFloat);
+        bindSetting('#portfolio-coverage', 'coverage', value => value);
+
+        const { capSegments, optimizer, portfolio } = this.getPortfolio(results, settings, targetLengthFt, coverageNeighborhoods);
+
+        if (!portfolio || !portfolio.feasible) {
+            const emptyDiv = document.createElement('div');
+            emptyDiv.className = 'mb-4 text-xs text-amber-600';
+            emptyDiv.textContent = !portfolio
+                ? `No run of adjacent eligible segments is ${targetLengthFt.toLocaleString()} ft long.`
+                : `No set of caps meets every constraint${portfolio.requiredGroups.length > 0 ? ` (coverage needs a cap for each of: ${portfolio.requiredGroups.join(', ')})` : ''}.`;
+            container.appendChild(emptyDiv);
+        }
+
+        if (portfolio && portfolio.feasible) {
+            const summaryDiv = document.createElement('div');
+            summaryDiv.className = 'mb-2 text-xs text-gray-600';
+            summaryDiv.innerHTML = `
+                <strong>${portfolio.selected.length} caps</strong>, total score ${portfolio.totalScore.toFixed(1)},
+                ${optimizer.formatBudget(portfolio.totalBudget)} of ${optimizer.formatBudget(settings.budget)} budget
+                ${portfolio.optimal ? '' : '<div class="text-amber-600">⚠ Best set found before the search limit; a better one may exist.</div>'}
+            `;
+            container.appendChild(summaryDiv);
+
+            portfolio.selected.forEach((stretch, index) => {
+                container.appendChild(this.createCapStretchItem({ ...stretch, rank: index + 1 }, this.analysisMinScore, this.analysisMaxScore));
+            });
+        }
+
+        if (portfolio && portfolio.relaxations.length > 0) {
+            const relaxationDiv = document.createElement('div');
+            relaxationDiv.className = 'mt-4 mb-2 text-xs text-gray-600';
+            relaxationDiv.innerHTML = `
+                <div class="font-medium text-gray-700 mb-1">Relaxing a constraint</div>
+                ${portfolio.relaxations.map(relaxation => {
+                    let effect;
+                    if (relaxation.gain === null) {
+                        effect = relaxation.totalScore > 0 ? `feasible, total ${relaxation.totalScore.toFixed(1)}` : 'still infeasible';
+                    } else {
+                        effect = relaxation.gain > 0 ? `+${relaxation.gain.toFixed(1)} total score` : 'no gain';
+                    }
+                    return `<div>${relaxation.label}: ${effect}</div>`;
+                }).join('')}
+            `;
+            container.appendChild(relaxationDiv);
+        }
+
+        if (portfolio && portfolio.runnersUp.length > 0) {
+            const runnersUpDiv = document.createElement('div');
+            runnersUpDiv.className = 'mt-4 mb-2 text-xs text-gray-600';
+            runnersUpDiv.innerHTML = `
+                <div class="font-medium text-gray-700 mb-1">Runners-up</div>
+                ${portfolio.runnersUp.map(({ candidate, reason }) => `
+                    <div>${candidate.freeway} at ${Math.round(candidate.startFt).toLocaleString()} ft: ${candidate.score.toFixed(1)} (${reason})</div>
+                `).join('')}
+            `;
+            container.appendChild(runnersUpDiv);
+        }
+
+        const selected = portfolio ? portfolio.selected.map((stretch, index) => ({ ...stretch, rank: index + 1 })) : [];
+        this.mapComponent.showCapStretches(this.buildCapStretchFeatures(selected, capSegments));
+    }
+
+    createCapStretchItem(stretch, minScore = null, maxScore = null) {
+        const item = document.createElement('div');
+        item.className = 'result-item border-b border-gray-200';
+
+        const scoreColor = this.getScoreColor(stretch.score, minScore, maxScore);
+        const formatFeet = (feet) => `${Math.round(feet).toLocaleString()} ft`;
+
+        item.innerHTML = `
+            <div class="flex justify-between items-center mb-2">
+                <div class="result-rank text-gray-500">#${stretch.rank}</div>
+                <div class="result-score font-bold" style="color: ${scoreColor}">${stretch.score.toFixed(1)}</div>
+            </div>
+            <div class="text-sm text-gray-700 font-medium">
+                ${stretch.freeway}
+            </div>
+            <div class="text-xs text-gray-500 mt-1">
+                ${formatFeet(stretch.length_ft)} cap, ${stretch.segmentIds.length} segments
+            </div>
+            <div class="text-xs text-gray-500">
+                ${Math.round(stretch.deck_area_sqft).toLocaleString()} sq ft deck (${(stretch.deck_area_sqft / SQ_FT_PER_ACRE).toFixed(2)} ac)
+            </div>
+            <div class="text-xs text-gray-500">
+                ${formatFeet(stretch.startFt)} to ${formatFeet(stretch.endFt)} along ${stretch.routeLabel}
+            </div>
+        `;
+
+        item.addEventListener('click', () => {
+            this.flyToSegment(stretch);
+        });
+
+        return item;
+    }
+
+    // Merge each stretch's segment footprints into one map feature
+    buildCapStretchFeatures(stretches, segments) {
+        const segmentsById = new Map(segments.map(segment => [segment.id, segment]));
+
+        return stretches.map(stretch => {
+            let merged = null;
+            for (const segmentId of stretch.segmentIds) {
+                const polygon = segmentsById.get(segmentId).geometry;
+                try {
+                    merged = merged ? turf.union(merged, polygon) || merged : polygon;
+                } catch (error) {
+                    console.warn(`Failed to merge ${segmentId} into cap stretch #${stretch.rank}:`, error);
+                }
+            }
+
+            return {
+                type: 'Feature',
+                geometry: merged.geometry,
+                properties: {
+                    rank: stretch.rank,
+                    score: stretch.score,
+                    freeway: stretch.freeway,
+                    length_ft: Math.round(stretch.length_ft),
+                    deck_area_sqft: Math.round(stretch.deck_area_sqft)
+                }
+            };
+        });
+    }
+
     renderMethodologyView(container) {
+        // Describe the radii the analysis actually ran with (reported by the worker)
+        const results = this.stateManager.get('analysisResults');
+        const radii = results?.radii || {
+            individualRadii: this.stateManager.get('individualRadii'),
+            globalRadius: this.stateManager.get('globalRadius'),
+            features: {}
+        };
+        const formatMiles = (miles) => `${miles} ${miles === 1 ? 'mile' : 'miles'}`;
+        const radiusList = (metric) => this.featureMetadata
+            .filter(meta => meta.metric === metric && radii.features[meta.key] !== undefined)
+            .map(meta => `${meta.label}: ${formatMiles(radii.features[meta.key])}`)
+            .join('<br>');
+
+        const proximityRadiusText = radii.individualRadii
+            ? 'each feature\'s own radius'
+            : `the proximity radius (${formatMiles(radii.globalRadius)})`;
+        const proximityRadiusList = radii.individualRadii ? radiusList('proximity') : '';
+
+        // Straight-line or walking distances (the worker falls back to straight lines without street centerlines)
+        const distanceText = results?.distanceMode === 'network'
+            ? 'Calculate the walking distance from the segment to the feature along the street network, crossing the freeway on the cap (never less than the straight-line distance)'
+            : 'Calculate distance from segment boundary to feature';
+        const distanceFallbackText = results && results.distanceMode !== 'network' && this.stateManager.get('distanceMode') === 'network'
+            ? '<p><strong>Note:</strong> walking distances need the street centerline dataset, which was not available; straight-line distances were used.</p>'
+            : '';
+
+        // Group proximity features by the decay kernel they were scored with
+        const decays = results?.decays || {};
+        const featuresByDecay = {};
+        this.featureMetadata
+            .filter(meta => decays[meta.key])
+            .forEach(meta => {
+                const { type, midpoint } = decays[meta.key];
+                const label = type === 'logistic' ? `${meta.label} (midpoint ${formatMiles(midpoint)})` : meta.label;
+                (featuresByDecay[type] = featuresByDecay[type] || []).push(label);
+            });
+        const decayTypes = Object.keys(featuresByDecay);
+        const decayText = decayTypes.length <= 1
+            ? `Apply ${(decayTypes[0] || 'linear')} decay: ${this.decayKernels[decayTypes[0] || 'linear'].description}`
+            : 'Apply each feature\'s decay kernel (see below)';
+        const decayList = decayTypes.length > 1
+            ? decayTypes.map(type =>
+                `<strong>${this.decayKernels[type].label}</strong> (${this.decayKernels[type].description}): ${featuresByDecay[type].join(', ')}`
+            ).join('<br>')
+            : '';
+        const densityRadiusList = radiusList('density');
+
+        const catchment = results?.catchment || { weighting: 'centroid' };
+        const blockGroupText = catchment.weighting === 'centroid'
+            ? 'use the census block group containing the segment center'
+            : `average every census block group within ${formatMiles(catchment.distance)} of the segment on both sides of the freeway, weighted by ${catchment.weighting === 'population' ? 'estimated residents in' : 'the area of'} the overlap`;
+
+        const fundingHorizon = results?.fundingHorizon || {};
+        const fundingText = [
+            fundingHorizon.year
+                ? `only count districts approved by ${fundingHorizon.year} (the construction horizon), still active through it and not repealed`
+                : `only count districts approved and still active in ${new Date(results?.analysisTime || Date.now()).getFullYear()} and not repealed`,
+            fundingHorizon.weightByLifetime
+                ? `scaling each district's score by its remaining lifetime (full weight with 10 or more years left${fundingHorizon.year ? ` after ${fundingHorizon.year}` : ''})`
+                : null
+        ].filter(Boolean).join(', ');
+
+        // Normalization per density and block-group feature
+        const normalization = results?.normalization || {};
+        const normalizationList = Object.keys(this.normalizationMethods)
+            .map(method => {
+                const labels = this.featureMetadata
+                    .filter(meta => normalization[meta.key] === method)
+                    .map(meta => meta.label);
+                return labels.length > 0
+                    ? `<strong>${this.normalizationMethods[method].label}</strong> (${this.normalizationMethods[method].description}): ${labels.join(', ')}`
+                    : null;
+            })
+            .filter(Boolean)
+            .join('<br>');
+
+        // Proximity features that summed every feature in the radius
+        const cumulative = results?.cumulative || {};
+        const normalizationText = ({ weightField, cumulativeNormalization, saturation }) => {
+            if (cumulativeNormalization === 'max') return 'relative to the highest-scoring segment';
+            return `${cumulativeNormalization === 'log' ? 'log-scaled' : 'linear'} up to ${saturation} ${weightField || 'features'}`;
+        };
+        const cumulativeList = this.featureMetadata
+            .filter(meta => cumulative[meta.key])
+            .map(meta => {
+                const options = cumulative[meta.key];
+                const weighting = options.weightField ? `weighted by ${options.weightField}` : 'each feature counts once';
+                return `${meta.label}: ${weighting}, ${normalizationText(options)}`;
+            })
+            .join('<br>');
+
+        const segmentation = results?.segmentation;
+        const segmentationText = segmentation?.mode === 'sliding'
+            ? `<p><strong>Sliding windows:</strong> ${segmentation.windows.toLocaleString()} windows of ${segmentation.lengthFt} feet were scored, starting every ${segmentation.stepFt} feet along each freeway. The rankings keep a window only if no higher-scoring window overlaps it.</p>`
+            : '';
+
         // Scoring methodology box
         const scoringBox = document.createElement('div');
         scoringBox.className = 'mb-4 p-3 bg-blue-50 border border-blue-200 rounded';
@@ -1832,15 +3343,37 @@ async loadGeoJSONData(path) {
             <div class="text-gray-600 space-y-1" style="font-size: 0.7rem; line-height: 1.3;">
                 <p>The analysis engine scores freeway segments on various features using a 0-10 scale. Features are weighted and combined into a final composite score.</p>
 
+                ${segmentationText}
+
                 <p><strong>Proximity metrics:</strong><br>
-                1. Find the nearest feature within the standard radius (1 mile)<br>
-                2. Calculate distance from segment boundary to feature<br>
-                3. Apply linear decay: score = max(0, 1 - distance/radius) × 10<br>
+                1. Find the nearest feature within ${proximityRadiusText}<br>
+                2. ${distanceText}<br>
+                3. ${decayText}<br>
                 4. Score of 10 = feature touches segment, score of 0 = feature at radius edge or beyond</p>
 
-                <p><strong>Density metrics</strong> (transit stops, bike routes) count features within a circular buffer and normalize against fixed maximums.</p>
+                ${distanceFallbackText}
+
+                ${decayList ? `<p><strong>Decay kernels:</strong><br>${decayList}</p>` : ''}
 
-                <p><strong>Block group metrics</strong> (ADI, crashes) use the census block group containing the segment center, and normalize with fixed maximums.</p>
+                ${proximityRadiusList ? `<p><strong>Proximity radii:</strong><br>${proximityRadiusList}</p>` : ''}
+
+                ${cumulativeList ? `<p><strong>Cumulative scoring:</strong> these features sum the decayed contribution of every feature within the radius instead of using only the nearest one:<br>${cumulativeList}</p>` : ''}
+
+                <p><strong>Density metrics</strong> (transit stops, bike routes, building permits) count features within a circular buffer.</p>
+
+                ${densityRadiusList ? `<p><strong>Density radii:</strong><br>${densityRadiusList}</p>` : ''}
+
+                <p><strong>Block group metrics</strong> (ADI, crashes, population density, household size, income) ${blockGroupText}.</p>
+
+                <p><strong>Neighborhood reconnection</strong> looks for neighborhoods that reach across the freeway at the segment and measures each one's area on either side of the segment's centerline. A neighborhood split evenly scores 10; slivers under 5% of its area are treated as boundary artifacts and ignored.</p>
+
+                <p><strong>Crossing gap</strong> treats bridges within 150 feet of the freeway centerline as existing crossings and measures how far someone at the segment walks along the freeway to the nearest one (or to the end of the freeway).</p>
+
+                <p><strong>Detour reduction</strong> routes on the street and sidewalk network between the nearest streets on either side of the segment. The detour saved is today's walk across the freeway (searched up to 1.5 miles) minus a straight crossing over the cap; the walkshed counts destinations and residents that only come within a 10-minute walk (½ mile) by crossing the cap.</p>
+
+                <p><strong>Funding districts</strong> (TIF and SSA gates and scores) ${fundingText}.</p>
+
+                ${normalizationList ? `<p><strong>Normalization:</strong> density, block group, crossing gap and detour metrics are converted to 0-10 scores (reversed where lower is better):<br>${normalizationList}</p>` : ''}
             </div>
         `;
         container.appendChild(scoringBox);
@@ -1878,6 +3411,185 @@ async loadGeoJSONData(path) {
         }
     }
 
+    getExclusionSummary(results) {
+        // Re-ranked results are shallow copies, so an unchanged excluded list means the same analysis
+        if (!this.exclusionSummaryCache || this.exclusionSummaryCache.excludedSegments !== results.excludedSegments) {
+            this.exclusionSummaryCache = {
+                excludedSegments: results.excludedSegments,
+                div: this.createExclusionSummary(results)
+            };
+        }
+        return this.exclusionSummaryCache.div;
+    }
+
+    createExclusionSummary(results) {
+        const summary = results.exclusionSummary || [];
+        const excludedSegments = results.excludedSegments || [];
+        if (summary.length === 0) return null;
+
+        const div = document.createElement('div');
+        div.className = 'mb-4 p-3 bg-gray-50 rounded text-xs';
+        div.innerHTML = `
+            <div class="font-medium text-gray-700 mb-1">Requirement Gates</div>
+            <div class="text-gray-600 mb-2">
+                ${excludedSegments.length} of ${excludedSegments.length + (results.candidateWindows || results.segments).length} ${results.candidateWindows ? 'windows' : 'segments'} excluded (grey on the map)
+            </div>
+            <div class="text-gray-600 space-y-1">
+                ${summary.map(entry => entry.skipped ? `
+                    <div class="flex justify-between text-amber-700">
+                        <span>${entry.label}</span>
+                        <span class="font-medium">skipped: ${entry.skipped}</span>
+                    </div>
+                ` : `
+                    <div class="flex justify-between">
+                        <span>${entry.label}</span>
+                        <span class="font-medium">${entry.excluded}${entry.only < entry.excluded ? ` (${entry.only} only this gate)` : ''}</span>
+                    </div>
+                `).join('')}
+            </div>
+            ${excludedSegments.length > 0 ? `
+                <details class="mt-2">
+                    <summary class="cursor-pointer text-gray-700">Excluded segments</summary>
+                    <div class="mt-2 space-y-2 max-h-64 overflow-y-auto">
+                        ${excludedSegments.map(segment => `
+                            <div class="excluded-item cursor-pointer hover:bg-gray-100 rounded p-1" data-segment-id="${segment.id}">
+                                <div class="text-gray-700">${segment.freeway} · ${Math.round(segment.length_ft)}ft</div>
+                                ${segment.exclusions.map(exclusion => `
+                                    <div class="text-gray-500">${exclusion.label}: ${exclusion.reason}</div>
+                                `).join('')}
+                            </div>
+                        `).join('')}
+                    </div>
+                </details>
+            ` : ''}
+        `;
+
+        div.querySelectorAll('.excluded-item').forEach(item => {
+            item.addEventListener('click', () => {
+                const segment = excludedSegments.find(s => s.id === item.dataset.segmentId);
+                if (segment) this.flyToSegment(segment);
+            });
+        });
+
+        return div;
+    }
+
+    /**
+     * Download the ranked segments as a CSV table or a GeoJSON FeatureCollection of their deck polygons
+     * @param {string} format - 'csv' or 'geojson'
+     */
+    exportResults(format) {
+        const results = this.stateManager.get('analysisResults');
+        if (!results || !results.segments) return;
+
+        const rows = results.segments.map(segment => this.getExportProperties(segment));
+        const stamp = new Date().toISOString().slice(0, 10);
+
+        try {
+            if (format === 'geojson') {
+                const collection = {
+                    type: 'FeatureCollection',
+                    features: results.segments.map((segment, i) => ({
+                        type: 'Feature',
+                        geometry: segment.geometry.geometry || segment.geometry,
+                        properties: rows[i]
+                    }))
+                };
+                this.downloadFile(`cap-rankings-${stamp}.geojson`, JSON.stringify(collection), 'application/geo+json');
+            } else {
+                const columns = Object.keys(rows[0] || {});
+                const escape = (value) => {
+                    const text = value === null || value === undefined ? '' : String(value);
+                    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+                };
+                const csv = [columns, ...rows.map(row => columns.map(column => row[column]))]
+                    .map(values => values.map(escape).join(','))
+                    .join('\n');
+                this.downloadFile(`cap-rankings-${stamp}.csv`, csv, 'text/csv');
+            }
+            console.log(`📤 Exported ${rows.length} segments as ${format.toUpperCase()}`);
+        } catch (error) {
+            console.error('❌ Failed to export results:', error);
+        }
+    }
+
+    // One flat record per segment: rank, stations, cross streets, score, dimensions and deck area, then each feature score
+    getExportProperties(segment) {
+        const properties = {
+            rank: segment.rank,
+            id: segment.id,
+            freeway: segment.freeway,
+            route: segment.route.label,
+            direction: segment.route.direction,
+            start_station_ft: Math.round(segment.route.startFt),
+            end_station_ft: Math.round(segment.route.endFt),
+            location: segment.crossStreets?.label ?? null,
+            from_street: segment.crossStreets?.from ?? null,
+            to_street: segment.crossStreets?.to ?? null,
+            score: Number(segment.score.toFixed(2)),
+            length_ft: Math.round(segment.length_ft),
+            width_ft: Math.round(segment.width_ft),
+            width_source: segment.width_source,
+            deck_area_sqft: Math.round(segment.deck_area_sqft),
+            deck_area_acres: Number(segment.deck_area_acres.toFixed(3)),
+            center_lat: Number(segment.center[1].toFixed(6)),
+            center_lng: Number(segment.center[0].toFixed(6))
+        };
+
+        this.featureMetadata.forEach(meta => {
+            const score = segment.featureScores[meta.key];
+            properties[`score_${meta.key}`] = typeof score === 'number' ? Number(score.toFixed(2)) : null;
+        });
+
+        return properties;
+    }
+
+    downloadFile(filename, content, mimeType) {
+        const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    createMissingDataSummary(segments) {
+        const calculator = new ScoreCalculator(this.stateManager.get('features'));
+        const missingCounts = {};
+        segments.forEach(segment => {
+            calculator.getMissingFeatures(segment.featureScores).forEach(featureKey => {
+                missingCounts[featureKey] = (missingCounts[featureKey] || 0) + 1;
+            });
+        });
+
+        const missingFeatures = this.featureMetadata.filter(meta => missingCounts[meta.key]);
+        if (missingFeatures.length === 0) return null;
+
+        const unavailableDatasets = (this.unavailableDatasets || [])
+            .map(datasetKey => this.datasetCatalog[datasetKey]?.friendly_name || datasetKey);
+
+        const div = document.createElement('div');
+        div.className = 'mb-4 p-3 bg-amber-50 border border-amber-200 rounded text-xs';
+        div.innerHTML = `
+            <div class="font-medium text-amber-800 mb-1">Missing Data</div>
+            <div class="text-amber-700 mb-1">
+                These features are left out of the score where they have no data, and the remaining weights are rescaled:
+            </div>
+            <div class="text-amber-700">
+                ${missingFeatures.map(meta => {
+                    const count = missingCounts[meta.key];
+                    return `${meta.label}: ${count === segments.length ? 'all' : `${count} of ${segments.length}`} segments`;
+                }).join('<br>')}
+            </div>
+            ${unavailableDatasets.length > 0 ? `
+                <div class="text-amber-700 mt-1">Datasets not loaded: ${unavailableDatasets.join(', ')}</div>
+            ` : ''}
+        `;
+        return div;
+    }
+
     createResultItem(segment, minScore = null, maxScore = null) {
         const item = document.createElement('div');
         item.className = 'result-item border-b border-gray-200';
@@ -1886,17 +3598,28 @@ async loadGeoJSONData(path) {
         // Create score color based on gradient from min to max
         const scoreColor = this.getScoreColor(segment.score, minScore, maxScore);
 
+        const missingFeatures = new ScoreCalculator(this.stateManager.get('features')).getMissingFeatures(segment.featureScores);
+        const missingLabels = this.featureMetadata
+            .filter(meta => missingFeatures.includes(meta.key))
+            .map(meta => meta.label);
+
         item.innerHTML = `
             <div class="flex justify-between items-center mb-2">
                 <div class="result-rank text-gray-500">#${segment.rank}</div>
                 <div class="result-score font-bold" style="color: ${scoreColor}">${segment.score.toFixed(1)}</div>
             </div>
             <div class="text-sm text-gray-700 font-medium">
-                ${segment.freeway}
+                ${segment.crossStreets?.label || segment.freeway}
             </div>
             <div class="text-xs text-gray-500 mt-1">
-                ${Math.round(segment.length_ft)}ft segment
+                ${this.formatStation(segment)}
+            </div>
+            <div class="text-xs text-gray-500">
+                ${Math.round(segment.length_ft)}ft segment · ${this.formatDeckArea(segment)}
             </div>
+            ${missingLabels.length > 0 ? `
+                <div class="text-xs text-amber-600 mt-1">⚠ No data: ${missingLabels.join(', ')}</div>
+            ` : ''}
         `;
 
         // Add hover effects
@@ -1957,11 +3680,6 @@ async loadGeoJSONData(path) {
     }
 
     addSegmentsToMap(segments, minScore = null, maxScore = null) {
-        // Remove existing segments layer
-        if (this.mapComponent.getMap().getSource('analysis-segments')) {
-            this.mapComponent.removeDataLayer('analysis-segments');
-        }
-
         // Create GeoJSON for segments
         const segmentsGeoJSON = {
             type: 'FeatureCollection',
@@ -1978,6 +3696,12 @@ async loadGeoJSONData(path) {
             }))
         };
 
+        // Re-ranking: swap the data in place so the layer keeps its position under the selection
+        if (this.mapComponent.getMap().getSource('analysis-segments')) {
+            this.mapComponent.updateLayerData('analysis-segments', segmentsGeoJSON);
+            return;
+        }
+
         // Add segments to map with score-based styling
         const layerConfig = {
             id: 'analysis-segments',
@@ -1995,6 +3719,22 @@ async loadGeoJSONData(path) {
         this.mapComponent.addDataLayer(layerConfig);
     }
 
+    addExcludedSegmentsToMap(excludedSegments) {
+        this.mapComponent.showExcludedSegments({
+            type: 'FeatureCollection',
+            features: excludedSegments.map(segment => ({
+                type: 'Feature',
+                geometry: segment.geometry.geometry,
+                properties: {
+                    id: segment.id,
+                    freeway: segment.freeway,
+                    // One "gate: reason" per line for the map popup
+                    reasons: segment.exclusions.map(exclusion => `${exclusion.label}: ${exclusion.reason}`).join('\n')
+                }
+            }))
+        });
+    }
+
     highlightSegmentOnMap(segmentId) {
         try {
             if (this.mapComponent.getMap().getLayer('analysis-segments')) {
@@ -2090,6 +3830,9 @@ async loadGeoJSONData(path) {
             if (this.mapComponent.getMap().getSource('selected-segment')) {
                 this.mapComponent.removeDataLayer('selected-segment');
             }
+            if (this.mapComponent.getMap().getSource('segment-walkshed')) {
+                this.mapComponent.showWalkshed(null);
+            }
         } catch (error) {
             console.warn('Failed to clear segment selection:', error);
         }
@@ -2111,6 +3854,9 @@ async loadGeoJSONData(path) {
         visibleDatasets.forEach(datasetKey => {
             this.mapComponent.toggleLayerVisibility(datasetKey, false);
         });
+
+        this.mapComponent.toggleLayerVisibility('corridor-buffer', false);
+        this.mapComponent.toggleLayerVisibility('study-area', false);
     }
 
     showExploreLayers() {
@@ -2119,6 +3865,104 @@ async loadGeoJSONData(path) {
         visibleDatasets.forEach(datasetKey => {
             this.mapComponent.toggleLayerVisibility(datasetKey, true);
         });
+
+        this.mapComponent.toggleLayerVisibility('corridor-buffer', this.stateManager.get('showBuffer'));
+        this.mapComponent.toggleLayerVisibility('study-area', true);
+    }
+
+    async updateCorridorBuffer() {
+        const showBuffer = this.stateManager.get('showBuffer');
+
+        if (!showBuffer) {
+            this.mapComponent.toggleLayerVisibility('corridor-buffer', false);
+            return;
+        }
+
+        try {
+            if (!this.freewaysData) {
+                const freewaysPath = this.datasetCatalog['freeways']?.path || 'freeways.geojson';
+                this.freewaysData = await this.loadGeoJSONData(freewaysPath);
+            }
+
+            const distance = this.stateManager.get('bufferDistance');
+            const highways = this.stateManager.get('selectedHighways');
+
+            const features = highways
+                .map(corridorId => this.buildCorridorBuffer(corridorId, distance))
+                .filter(buffer => buffer !== null);
+
+            // Settings may have changed while the freeway data was loading
+            const stillVisible = this.stateManager.get('showBuffer') && this.stateManager.get('currentView') === 'explore';
+            this.mapComponent.updateCorridorBuffer({ type: 'FeatureCollection', features }, stillVisible);
+        } catch (error) {
+            console.warn('Failed to build corridor buffer:', error);
+        }
+    }
+
+    buildCorridorBuffer(corridorId, distanceMiles) {
+        const cacheKey = `${corridorId}|${distanceMiles}`;
+        if (this.corridorBufferCache.has(cacheKey)) {
+            return this.corridorBufferCache.get(cacheKey);
+        }
+
+        const lines = this.freewaysData.features
+            .filter(feature => feature.properties.corridor_id === corridorId && feature.geometry)
+            .flatMap(feature => feature.geometry.type === 'MultiLineString'
+                ? feature.geometry.coordinates
+                : [feature.geometry.coordinates])
+            .filter(coords => coords.length >= 2);
+
+        // Buffer each carriageway separately and union as we go - buffering the whole corridor as one
+        // MultiLineString is very slow with overlapping express/local lanes. Simplifying to a tenth of the
+        // buffer distance and truncating coordinates keeps the union fast and robust.
+        const tolerance = (distanceMiles / 69) * 0.1;
+        let buffer = null;
+
+        for (const coords of lines) {
+            const line = turf.simplify(turf.lineString(coords), { tolerance });
+            const part = turf.truncate(turf.buffer(line, distanceMiles, { units: 'miles', steps: 4 }), { precision: 6 });
+
+            try {
+                buffer = buffer ? turf.union(buffer, part) : part;
+            } catch (error) {
+                // Skip parts the polygon clipper can't merge; neighbouring parts cover the gap
+                console.warn(`Skipped buffer part for ${corridorId}:`, error.message);
+            }
+        }
+
+        if (buffer) {
+            buffer.properties = { corridor_id: corridorId, distance_miles: distanceMiles };
+        }
+
+        this.corridorBufferCache.set(cacheKey, buffer);
+        return buffer;
+    }
+
+    async drawStudyArea() {
+        const statusDiv = document.getElementById('study-area-status');
+        statusDiv.textContent = 'Drawing... click to add points, double-click to finish';
+
+        const polygon = await this.mapComponent.startPolygonDrawing();
+
+        if (polygon) {
+            this.stateManager.updateRequirement('globalBuffer', { polygon });
+            this.mapComponent.showStudyArea(polygon);
+            console.log('✅ Study area drawn');
+        }
+
+        this.updateStudyAreaStatus();
+    }
+
+    updateStudyAreaStatus() {
+        const statusDiv = document.getElementById('study-area-status');
+        const polygon = this.stateManager.get('requirements.globalBuffer.polygon');
+
+        if (polygon) {
+            const areaSqMi = turf.area(polygon) / 2589988.11;
+            statusDiv.textContent = `Study area drawn (${areaSqMi.toFixed(1)} sq mi)`;
+        } else {
+            statusDiv.textContent = 'No study area drawn';
+        }
     }
 
     clearAnalysisResults() {
@@ -2127,6 +3971,16 @@ async loadGeoJSONData(path) {
             this.mapComponent.removeDataLayer('analysis-segments');
         }
 
+        // Remove excluded segments layer
+        if (this.mapComponent.getMap().getSource('excluded-segments')) {
+            this.mapComponent.removeDataLayer('excluded-segments');
+        }
+
+        // Remove cap stretch candidates
+        if (this.mapComponent.getMap().getSource('cap-stretches')) {
+            this.mapComponent.removeDataLayer('cap-stretches');
+        }
+
         // Clear any analysis highlights
         if (this.mapComponent.getMap().getSource('analysis-highlight')) {
             this.mapComponent.removeDataLayer('analysis-highlight');
@@ -2162,10 +4016,16 @@ async loadGeoJSONData(path) {
             this.highlightSelectedSegment(segmentId);
             // Update right panel with segment details
             this.updateSegmentDetails(segmentId);
+
+            // Show the area a cap here would bring within walking distance
+            const segment = this.stateManager.get('analysisResults')?.segments?.find(s => s.id === segmentId);
+            if (segment?.detour?.walkshed) {
+                this.mapComponent.showWalkshed(segment.detour.walkshed);
+            }
         }
     }
 
-    updateSegmentDetails(segmentId) {
+    updateSegmentDetails(segmentId, updateMinimap = true) {
         const detailsContainer = document.getElementById('segment-details');
 
         // Find the segment data
@@ -2179,38 +4039,15 @@ async loadGeoJSONData(path) {
 
         const scoreColor = this.getScoreColor(segment.score, this.analysisMinScore, this.analysisMaxScore);
 
-        // Define feature metadata mapping
-        const featureMetadata = [
-            { key: 'ctaStations', label: 'CTA Rail Stations', color: '#1f77b4' },
-            { key: 'metraStations', label: 'Metra Stations', color: '#ff6b6b' },
-            { key: 'amtrakStations', label: 'Amtrak Stations', color: '#4ecdc4' },
-            { key: 'parks', label: 'Parks', color: '#2ca02c' },
-            { key: 'publicSchools', label: 'Public Schools', color: '#ff7f0e' },
-            { key: 'privateSchools', label: 'Private Schools', color: '#d62728' },
-            { key: 'colleges', label: 'Colleges', color: '#9467bd' },
-            { key: 'hospitals', label: 'Hospitals', color: '#8c564b' },
-            { key: 'landmarks', label: 'Landmarks', color: '#e377c2' },
-            { key: 'stadiums', label: 'Stadiums', color: '#7f7f7f' },
-            { key: 'ssa', label: 'SSA', color: '#bcbd22' },
-            { key: 'tif', label: 'TIF', color: '#17becf' },
-            { key: 'medicalDistrict', label: 'Medical District', color: '#ff9896' },
-            { key: 'neighborhoodCenter', label: 'Neighborhood Center', color: '#c5b0d5' },
-            { key: 'bridges', label: 'Bridges', color: '#95a5a6' },
-            { key: 'adi', label: 'ADI of Block Group', color: '#e74c3c' },
-            { key: 'crashes', label: 'Crash Frequency', color: '#f39c12' },
-            { key: 'transitDensity', label: 'Transit Stop Density', color: '#3498db' },
-            { key: 'bikeNetwork', label: 'Bike Network Connectivity', color: '#27ae60' }
-        ];
-
         // Get feature weights from state
         const features = this.stateManager.get('features') || {};
 
         // Sort features by weight (highest to lowest) and filter out 0-weighted features
-        const sortedFeatures = featureMetadata
+        const sortedFeatures = this.featureMetadata
             .map(meta => ({
                 ...meta,
                 weight: features[meta.key]?.weight || 0,
-                score: segment.featureScores[meta.key] || 0
+                score: segment.featureScores[meta.key] ?? null
             }))
             .filter(feature => feature.weight > 0)
             .sort((a, b) => b.weight - a.weight);
@@ -2220,6 +4057,11 @@ async loadGeoJSONData(path) {
             .map(feature => this.createFeatureScoreBar(feature.label, feature.score, feature.color))
             .join('');
 
+        const blockGroupSidesTable = this.createBlockGroupSidesTable(segment.blockGroupSides);
+        const neighborhoodSplitTable = this.createNeighborhoodSplitTable(segment.neighborhoodSplits);
+        const crossingGapText = this.createCrossingGapText(segment.crossingGaps);
+        const detourSummary = this.createDetourSummary(segment.detour);
+
         // Check if this is first render or update
         const isFirstRender = !document.getElementById('minimap-container');
 
@@ -2236,7 +4078,10 @@ async loadGeoJSONData(path) {
                     <div class="text-sm text-gray-600">
                         Rank: #${segment.rank} of ${analysisResults.segments.length}<br>
                         Length: ${Math.round(segment.length_ft)} feet<br>
-                        Center: ${segment.center[1].toFixed(4)}, ${segment.center[0].toFixed(4)}
+                        ${segment.crossStreets ? `Location: ${segment.crossStreets.label}<br>` : ''}
+                        Station: ${this.formatStation(segment)}<br>
+                        ${this.createDeckText(segment)}<br>
+                        Center: ${segment.center[1].toFixed(4)}, ${segment.center[0].toFixed(4)}${crossingGapText}
                     </div>
                 </div>
 
@@ -2245,6 +4090,9 @@ async loadGeoJSONData(path) {
                     <div class="space-y-3">
                         ${featureScoreBars}
                     </div>
+                    ${blockGroupSidesTable}
+                    ${neighborhoodSplitTable}
+                    ${detourSummary}
                 </div>
 
                 <div class="flex-1 flex flex-col min-h-0">
@@ -2264,7 +4112,10 @@ async loadGeoJSONData(path) {
                 <div class="text-sm text-gray-600">
                     Rank: #${segment.rank} of ${analysisResults.segments.length}<br>
                     Length: ${Math.round(segment.length_ft)} feet<br>
-                    Center: ${segment.center[1].toFixed(4)}, ${segment.center[0].toFixed(4)}
+                    ${segment.crossStreets ? `Location: ${segment.crossStreets.label}<br>` : ''}
+                    Station: ${this.formatStation(segment)}<br>
+                    ${this.createDeckText(segment)}<br>
+                    Center: ${segment.center[1].toFixed(4)}, ${segment.center[0].toFixed(4)}${crossingGapText}
                 </div>
             `;
 
@@ -2273,11 +4124,16 @@ async loadGeoJSONData(path) {
                 <div class="space-y-3">
                     ${featureScoreBars}
                 </div>
+                ${blockGroupSidesTable}
+                ${neighborhoodSplitTable}
+                ${detourSummary}
             `;
         }
 
-        // Initialize or update minimap
-        this.initOrUpdateMinimap(segment, analysisResults.segments);
+        // Initialize or update minimap (skipped when only the scores changed)
+        if (updateMinimap) {
+            this.initOrUpdateMinimap(segment, analysisResults.segments);
+        }
     }
 
     async initOrUpdateMinimap(selectedSegment, allSegments) {
@@ -2296,7 +4152,146 @@ async loadGeoJSONData(path) {
         }
     }
 
+    // Raw block-group values on each side of the freeway (area- or population-weighted averages)
+    createBlockGroupSidesTable(blockGroupSides) {
+        if (!blockGroupSides) return '';
+
+        const sides = Object.keys(blockGroupSides).sort();
+        const rows = [
+            { key: 'adi', label: 'ADI', format: value => value.toFixed(0) },
+            { key: 'crashes', label: 'Crashes', format: value => Math.round(value).toLocaleString() },
+            { key: 'population', label: 'Residents / sq mi', format: value => Math.round(value).toLocaleString() },
+            { key: 'householdSize', label: 'Household size', format: value => value.toFixed(2) },
+            { key: 'income', label: 'Median income', format: value => `$${Math.round(value).toLocaleString()}` }
+        ].filter(row => sides.some(side => blockGroupSides[side][row.key] !== null));
+
+        if (rows.length === 0) return '';
+
+        return `
+            <h5 class="text-sm font-medium text-gray-700 mt-4 mb-2">Block Groups by Side</h5>
+            <table class="w-full text-xs">
+                <thead>
+                    <tr class="text-gray-500">
+                        <th class="text-left font-normal"></th>
+                        ${sides.map(side => `<th class="text-right font-normal capitalize">${side}</th>`).join('')}
+                    </tr>
+                </thead>
+                <tbody>
+                    ${rows.map(row => `
+                        <tr>
+                            <td class="text-gray-600">${row.label}</td>
+                            ${sides.map(side => {
+                                const value = blockGroupSides[side][row.key];
+                                return `<td class="text-right font-medium text-gray-800">${value === null ? '—' : row.format(value)}</td>`;
+                            }).join('')}
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    // "Nearest crossing north/south: X ft" line for the segment info, in the order the directions were measured
+    // Route and start/end stations (feet along the route), as in the segment ID
+    formatStation(segment) {
+        const station = (feet) => Math.round(feet).toLocaleString('en-US');
+        return `${segment.route.label} ${station(segment.route.startFt)}–${station(segment.route.endFt)} ft`;
+    }
+
+    formatDeckArea(segment) {
+        return `${Math.round(segment.deck_area_sqft).toLocaleString()} sq ft (${segment.deck_area_acres.toFixed(2)} ac)`;
+    }
+
+    // Deck width and where it came from, and the resulting deck area
+    createDeckText(segment) {
+        const sources = { 'right-of-way': 'average across the right-of-way', corridor: 'corridor width', default: 'default width' };
+        return `Deck: ${Math.round(segment.width_ft)} feet wide (${sources[segment.width_source]}), ${this.formatDeckArea(segment)}`;
+    }
+
+    createCrossingGapText(crossingGaps) {
+        if (!crossingGaps) return '';
+
+        const directions = Object.keys(crossingGaps);
+        const distances = directions.map(direction => {
+            const { distanceFt, routeEnd } = crossingGaps[direction];
+            return `${Math.round(distanceFt).toLocaleString()} ft${routeEnd ? ' (end of freeway)' : ''}`;
+        });
+        return `<br>Nearest crossing ${directions.join('/')}: ${distances.join(' / ')}`;
+    }
+
+    // Walking across the freeway today vs. over the cap, and what the cap brings within a 10-minute walk
+    createDetourSummary(detour) {
+        if (!detour) return '';
+
+        if (!detour.connected) {
+            return `
+                <h5 class="text-sm font-medium text-gray-700 mt-4 mb-2">Walking Detour</h5>
+                <div class="text-xs text-gray-500">No street or sidewalk near both sides of the freeway</div>
+            `;
+        }
+
+        const formatMiles = miles => `${miles.toFixed(2)} mi`;
+        return `
+            <h5 class="text-sm font-medium text-gray-700 mt-4 mb-2">Walking Detour</h5>
+            <div class="space-y-1 text-xs">
+                <div class="flex justify-between">
+                    <span class="text-gray-600">Across the freeway today</span>
+                    <span class="font-medium text-gray-800">${detour.beyondSearch ? 'no route nearby' : formatMiles(detour.existingMiles)}</span>
+                </div>
+                <div class="flex justify-between">
+                    <span class="text-gray-600">Over the cap</span>
+                    <span class="font-medium text-gray-800">${formatMiles(detour.capMiles)}</span>
+                </div>
+                <div class="flex justify-between">
+                    <span class="text-gray-600">Detour saved</span>
+                    <span class="font-medium text-gray-800">${detour.beyondSearch ? 'unknown' : formatMiles(detour.savedMiles)}</span>
+                </div>
+                <div class="flex justify-between">
+                    <span class="text-gray-600">Newly within a 10-minute walk</span>
+                    <span class="font-medium text-gray-800">${detour.newDestinations} destinations${detour.newPopulation !== null ? `, ~${Math.round(detour.newPopulation).toLocaleString()} residents` : ''}</span>
+                </div>
+            </div>
+        `;
+    }
+
+    // Neighborhoods the freeway splits at this segment, with the share of each on either side
+    createNeighborhoodSplitTable(neighborhoodSplits) {
+        if (!neighborhoodSplits || neighborhoodSplits.length === 0) return '';
+
+        return `
+            <h5 class="text-sm font-medium text-gray-700 mt-4 mb-2">Neighborhoods Split by Freeway</h5>
+            <div class="space-y-1 text-xs">
+                ${neighborhoodSplits.slice(0, 3).map(split => {
+                    const total = Object.values(split.areas).reduce((sum, area) => sum + area, 0);
+                    const shares = Object.entries(split.areas)
+                        .sort(([a], [b]) => a.localeCompare(b))
+                        .map(([side, area]) => `${Math.round(area / total * 100)}% ${side}`)
+                        .join(' / ');
+                    return `
+                        <div class="flex justify-between">
+                            <span class="text-gray-600">${split.name}</span>
+                            <span class="font-medium text-gray-800">${shares}</span>
+                        </div>
+                    `;
+                }).join('')}
+            </div>
+        `;
+    }
+
     createFeatureScoreBar(label, score, color) {
+        if (score === null) {
+            // No data for this feature - it doesn't count toward the composite score
+            return `
+                <div class="feature-score-bar">
+                    <div class="flex justify-between items-center mb-1">
+                        <div class="feature-score-label text-xs text-gray-600">${label}</div>
+                        <div class="feature-score-value text-xs font-medium text-amber-600">No data</div>
+                    </div>
+                    <div class="w-full bg-gray-100 rounded-full h-2"></div>
+                </div>
+            `;
+        }
+
         const percentage = Math.min(100, Math.max(0, score * 10)); // Convert 0-10 scale to 0-100%
 
         return `
@@ -2313,6 +4308,15 @@ async loadGeoJSONData(path) {
         `;
     }
 
+    syncBridgeRatingControls() {
+        const bridgeCondition = this.stateManager.get('requirements.bridgeCondition');
+        document.getElementById('require-bridge-rating').checked = bridgeCondition.enabled;
+        document.getElementById('bridge-rating-controls').style.display = bridgeCondition.enabled ? 'block' : 'none';
+        document.getElementById('bridge-min-rating').value = bridgeCondition.minRating ?? '';
+        document.getElementById('bridge-inspection-age').value = bridgeCondition.maxInspectionAge ?? '';
+        document.getElementById('bridge-nhs').value = bridgeCondition.nhs;
+    }
+
     // Toggle station gate controls enabled/disabled state
     toggleStationGateControls(enabled) {
         const controls = document.getElementById('station-gate-controls');
@@ -2323,6 +4327,16 @@ async loadGeoJSONData(path) {
         }
     }
 
+    // Toggle study area gate controls enabled/disabled state
+    toggleStudyAreaControls(enabled) {
+        const controls = document.getElementById('study-area-controls');
+        if (enabled) {
+            controls.classList.remove('opacity-50', 'pointer-events-none');
+        } else {
+            controls.classList.add('opacity-50', 'pointer-events-none');
+        }
+    }
+
     // Update zoning allowlist based on checkbox selections
     updateZoningAllowlist() {
         const allowedCategories = [];